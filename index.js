@@ -2,18 +2,28 @@
 
 const { MayanLogger } = require('./src/logger');
 const {
+  LOGGER_ENV_VARS,
   LOG_LEVEL_ENV,
   LOG_LEVELS,
   LOG_LEVEL_VALUES,
   LOGGER_OUTPUTS,
+  LOGGER_WRITERS,
+  TRACE_OUTCOMES,
+  FILE_ROTATION_INTERVALS,
+  ASYNC_OVERFLOW_POLICIES,
+  RATE_LIMIT_SCOPES,
+  RECORDER_SCOPES,
   DEFAULT_TERMINAL_COLORS,
   MayanLoggerOptions,
+  MayanLoggerTransportOptions,
+  MayanLoggerAdminOptions,
+  MayanLoggerConfigFileOptions,
   MayanLoggerState,
   MayanLogCollectorState,
 } = require('./src/types');
 
 /**
- * Default logger, with a few basic options loaded from env
+ * Default logger, configured from env (see LOGGER_ENV_VARS)
  * @type {MayanLogger}
  */
 module.exports = new MayanLogger(MayanLoggerOptions.fromEnv(process.env));
@@ -30,14 +40,24 @@ module.exports.logger = module.exports;
  */
 module.exports.log = module.exports.for();
 
+module.exports.LOGGER_ENV_VARS = LOGGER_ENV_VARS;
 module.exports.LOG_LEVEL_ENV = LOG_LEVEL_ENV;
 module.exports.LOG_LEVELS = LOG_LEVELS;
 module.exports.LOG_LEVEL_VALUES = LOG_LEVEL_VALUES;
 module.exports.LOGGER_OUTPUTS = LOGGER_OUTPUTS;
+module.exports.LOGGER_WRITERS = LOGGER_WRITERS;
+module.exports.TRACE_OUTCOMES = TRACE_OUTCOMES;
+module.exports.FILE_ROTATION_INTERVALS = FILE_ROTATION_INTERVALS;
+module.exports.ASYNC_OVERFLOW_POLICIES = ASYNC_OVERFLOW_POLICIES;
+module.exports.RATE_LIMIT_SCOPES = RATE_LIMIT_SCOPES;
+module.exports.RECORDER_SCOPES = RECORDER_SCOPES;
 module.exports.DEFAULT_TERMINAL_COLORS = DEFAULT_TERMINAL_COLORS;
 
 module.exports.MayanLogger = MayanLogger;
 module.exports.MayanLoggerOptions = MayanLoggerOptions;
+module.exports.MayanLoggerTransportOptions = MayanLoggerTransportOptions;
+module.exports.MayanLoggerAdminOptions = MayanLoggerAdminOptions;
+module.exports.MayanLoggerConfigFileOptions = MayanLoggerConfigFileOptions;
 module.exports.MayanLoggerState = MayanLoggerState;
 module.exports.MayanLogCollectorState = MayanLogCollectorState;
 
@@ -0,0 +1,116 @@
+'use strict';
+
+const http = require('http');
+
+const { MayanLogger } = require('../src/logger');
+
+describe('admin handler', () => {
+  let server;
+  let baseUrl;
+  let logger;
+
+  const start = async adminOptions => {
+    logger = new MayanLogger({ output: () => '', transports: [{ writer: () => {} }] });
+    logger.for('Api');
+    logger.for('Db');
+    server = http.createServer(logger.adminHandler(adminOptions));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const request = (method, path, body, headers = {}) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(baseUrl + path, { method, headers }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString();
+          resolve({
+            status: res.statusCode,
+            type: res.headers['content-type'],
+            body: res.headers['content-type'].startsWith('application/json')
+              ? JSON.parse(text)
+              : text,
+          });
+        });
+      });
+      req.on('error', reject);
+      req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+
+  it('will show and change logger state', async () => {
+    await start({ prefix: '/_logger' });
+
+    const state = await request('GET', '/_logger/state');
+    expect(state.status).toEqual(200);
+    expect(state.body).toMatchObject({ enabled: true, level: 'info' });
+    expect(state.body.collectors.map(c => c.key)).toEqual(['', 'Api', 'Db']);
+
+    expect((await request('PUT', '/_logger/level', { level: 'debug' })).body.level).toEqual(
+      'debug'
+    );
+    expect((await request('PUT', '/_logger/enabled', { enabled: false })).body.enabled).toBe(false);
+    expect((await request('PUT', '/_logger/tracing', { enabled: true })).body.tracing_enabled).toBe(
+      true
+    );
+
+    await request('PUT', '/_logger/collectors/Db/level', { level: 'warn' });
+    await request('PUT', '/_logger/collectors/Db/tracing', { enabled: false });
+    expect(logger.for('Db').state).toMatchObject({ level: 'warn', tracing: false });
+
+    await request('PUT', '/_logger/collectors/Db/level', { level: null });
+    expect(logger.for('Db').state.level).toBeUndefined();
+
+    expect((await request('POST', '/_logger/flight-recorder/dump')).body).toEqual({ dumped: 0 });
+
+    const page = await request('GET', '/_logger');
+    expect(page.type).toMatch(/^text\/html/);
+    expect(page.body).toContain('<title>Logger</title>');
+  });
+
+  it('will validate input and map errors to status codes', async () => {
+    await start();
+
+    expect(await request('PUT', '/level', { level: 'loud' })).toEqual({
+      status: 400,
+      type: 'application/json; charset=utf-8',
+      body: { error: 'Invalid log level: loud' },
+    });
+    expect((await request('PUT', '/enabled', { enabled: 'yes' })).status).toEqual(400);
+    expect((await request('PUT', '/collectors/Nope/tracing', { enabled: true })).body).toEqual({
+      error: 'Invalid collector key: Nope',
+    });
+    expect(await request('PUT', '/collectors/%E0%A4%A/level', { level: 'debug' })).toMatchObject({
+      status: 400,
+      body: { error: 'Invalid URL encoding in path: %E0%A4%A' },
+    });
+    expect((await request('DELETE', '/level')).status).toEqual(405);
+    expect((await request('GET', '/unknown')).status).toEqual(404);
+
+    const badJSON = await new Promise(resolve => {
+      const req = http.request(baseUrl + '/level', { method: 'PUT' }, resolve);
+      req.end('{level');
+    });
+    expect(badJSON.statusCode).toEqual(400);
+    badJSON.resume();
+  });
+
+  it('will call auth hook and pass through unknown routes to next middleware', async () => {
+    await start({ auth: req => req.headers['x-token'] === 'secret' });
+
+    expect((await request('GET', '/state')).status).toEqual(401);
+    expect((await request('GET', '/state', undefined, { 'x-token': 'secret' })).status).toEqual(
+      200
+    );
+
+    const handler = logger.adminHandler();
+    const next = jest.fn();
+    handler({ method: 'GET', url: '/other', headers: {} }, {}, next);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const { PassThrough } = require('stream');
+
+const { main } = require('../src/cli');
+const { parseTime, parseJSONLogLine } = require('../src/pretty');
+
+describe('cli', () => {
+  const LINES = [
+    '{"level":"info","message":"Started","timestamp":"2020-08-22T10:00:00.000Z","tags":["App"],"data":[]}',
+    'npm WARN some plain text',
+    '{"requestId":"r1","level":"error","message":"Query failed","timestamp":"2020-08-22T11:00:00.000Z","tags":["Db"],"data":[{"table":"users"}],"error":{"message":"Query failed","stack":"Error: Query failed\\n    at query"}}',
+    '{"level":"debug","message":"Cache miss","timestamp":"2020-08-22T12:00:00.000Z","tags":["Db"],"data":[]}',
+  ];
+
+  const run = async (args, input = LINES.join('\n') + '\n') => {
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    stdin.end(input);
+    const code = await main([...args, '--no-color'], { stdin, stdout, stderr });
+    return {
+      code,
+      stdout: String(stdout.read() || ''),
+      stderr: String(stderr.read() || ''),
+    };
+  };
+
+  it('will render JSON lines in terminal format and pass through other lines', async () => {
+    const result = await run(['--no-indent']);
+    expect(result.code).toEqual(0);
+    expect(result.stdout).toEqual(
+      '2020-08-22T10:00:00.000Z    info: [App] Started\n' +
+        'npm WARN some plain text\n' +
+        "2020-08-22T11:00:00.000Z   error: [Db] Error: Query failed { table: 'users' } requestId=r1\n" +
+        '    at query\n' +
+        '2020-08-22T12:00:00.000Z   debug: [Db] Cache miss\n'
+    );
+  });
+
+  it('will map standard keys added by logger features back onto the message', async () => {
+    const line =
+      '{"level":"debug","message":"Retrying","tags":["Db"],"backfilled":true,"sample_rate":0.5,' +
+      '"call_id":3,"outcome":"threw",' +
+      '"trace_id":"4bf92f3577b34da6a3ce929d0e0e4736","span_id":"00f067aa0ba902b7","userId":7}';
+
+    expect(parseJSONLogLine(line)).toMatchObject({
+      backfilled: true,
+      sample_rate: 0.5,
+      trace: { call_id: 3, outcome: 'threw' },
+      span: { trace_id: '4bf92f3577b34da6a3ce929d0e0e4736', span_id: '00f067aa0ba902b7' },
+      fields: { userId: 7 },
+    });
+    expect((await run([], line + '\n')).stdout).toEqual(
+      '  debug: [Db] (backfilled) Retrying userId=7\n'
+    );
+  });
+
+  it('will filter by level, tag, time and regex', async () => {
+    const lineCount = async args => {
+      const { stdout } = await run(args);
+      return stdout.split('\n').filter(line => line.startsWith('2020')).length;
+    };
+
+    expect(await lineCount(['--level', 'info'])).toEqual(2);
+    expect(await lineCount(['-t', 'Db'])).toEqual(2);
+    expect(
+      await lineCount(['--since', '2020-08-22T10:30:00Z', '--until=2020-08-22T11:30:00Z'])
+    ).toEqual(1);
+    expect(await lineCount(['--grep', 'cache|users'])).toEqual(2);
+  });
+
+  it('can query and count messages', async () => {
+    const queried = await run(['query', '--json', '--where', 'level>=info or tags has App']);
+    expect(queried.stdout).toEqual(LINES[0] + '\n' + LINES[2] + '\n');
+
+    const counted = await run(['query', '--count-by', 'tag', '--bucket', '1h', '-l', 'info']);
+    expect(counted.stdout).toEqual(
+      '2020-08-22T10:00:00.000Z  App  1\n' + '2020-08-22T11:00:00.000Z  Db   1\n'
+    );
+  });
+
+  it('will report invalid arguments', async () => {
+    const result = await run(['--level', 'loud']);
+    expect(result.code).toEqual(2);
+    expect(result.stderr).toMatch(/^Invalid level: loud\n\nUsage:/);
+  });
+
+  it('can parse absolute and relative times', () => {
+    const now = new Date('2020-08-22T12:00:00.000Z').getTime();
+    expect(parseTime('90m', now)).toEqual(new Date('2020-08-22T10:30:00.000Z'));
+    expect(parseTime('2020-08-22T10:00:00Z', now)).toEqual(new Date('2020-08-22T10:00:00.000Z'));
+    expect(() => parseTime('yesterday', now)).toThrow(/Invalid time/);
+  });
+});
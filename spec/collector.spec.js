@@ -0,0 +1,38 @@
+'use strict';
+
+const { MayanTestLogger } = require('../src/testing');
+
+describe('collector', () => {
+  describe('child', () => {
+    it('will add bound fields to every message', () => {
+      const logger = new MayanTestLogger();
+      const log = logger.for('Service');
+
+      const child = log.child({ requestId: 'r1' });
+      const grandChild = child.child({ userId: 7 });
+      child.info('one');
+      grandChild.info('two');
+      log.info('three');
+
+      expect(logger.messages.map(msg => msg.fields)).toEqual([
+        { requestId: 'r1' },
+        { requestId: 'r1', userId: 7 },
+        undefined,
+      ]);
+      expect(logger.messages[1].collector.tags).toEqual(['Service']);
+    });
+
+    it('will share level with the parent, and will not be registered', () => {
+      const logger = new MayanTestLogger({ level: 'info' });
+      const log = logger.for('Service');
+      const child = log.child({ requestId: 'r1' });
+
+      child.debug('hidden');
+      logger.setCollectorLevel('Service', 'debug');
+      child.debug('shown');
+
+      expect(logger.messages.map(msg => msg.message)).toEqual(['shown']);
+      expect(logger.getState().collectors.map(c => c.key)).toEqual(['', 'Service']);
+    });
+  });
+});
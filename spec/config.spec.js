@@ -0,0 +1,95 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const libPath = require('path');
+
+const { MayanTestLogger } = require('../src/testing');
+
+describe('config file', () => {
+  let dir;
+  let path;
+  let logger;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(libPath.join(os.tmpdir(), 'mayan-logger-config-'));
+    path = libPath.join(dir, 'logger.json');
+  });
+  afterEach(async () => {
+    logger && (await logger.close());
+    logger = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeConfig = config =>
+    fs.writeFileSync(path, typeof config === 'string' ? config : JSON.stringify(config));
+
+  const waitFor = async condition => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect(condition()).toBe(true);
+  };
+
+  it('will apply the config file live, and keep the previous config after a bad edit', async () => {
+    writeConfig({ level: 'warn', collector_levels: { Db: 'debug' } });
+    logger = new MayanTestLogger({ level: 'verbose', config_file: { path, interval: 10 } });
+    const db = logger.for('Db');
+
+    expect(logger.getState()).toMatchObject({ level: 'warn', level_rules: { Db: 'debug' } });
+
+    writeConfig({ level: 'error', collector_levels: { Api: 'trace' }, tracing: { enabled: true } });
+    await waitFor(() => logger.getState().level === 'error');
+    expect(logger.getState()).toMatchObject({
+      tracing_enabled: true,
+      level_rules: { Api: 'trace' },
+    });
+    expect(db.state.level).toBeUndefined();
+
+    writeConfig('{"level": "loud"}');
+    await waitFor(() => logger.messages.length > 0);
+    expect(logger.messages[0].message).toEqual(
+      'Failed to reload logger config, keeping the previous one'
+    );
+    expect(logger.messages[0].error.message).toEqual('Invalid log level: loud');
+    expect(logger.getState().level).toEqual('error');
+
+    // Removed options go back to the ones given in code
+    writeConfig({ redact: ['secret'] });
+    await waitFor(() => logger.getState().level === 'verbose');
+    db.info('Login', { secret: 'abc' });
+    expect(logger.messages[logger.messages.length - 1].data).toEqual([{ secret: '[REDACTED]' }]);
+  });
+
+  it('will throw on reload if config is invalid', () => {
+    writeConfig({ level: 'debug' });
+    logger = new MayanTestLogger({ config_file: path });
+
+    fs.writeFileSync(path, '{level');
+    expect(() => logger.reloadConfig()).toThrow(/Failed to load logger config/);
+    expect(logger.getState().level).toEqual('debug');
+  });
+
+  it('will cycle level on signal', async () => {
+    logger = new MayanTestLogger({ level: 'verbose', level_signal: true });
+
+    const levels = [];
+    for (let i = 0; i < 4; i++) {
+      process.emit('SIGUSR2');
+      levels.push(logger.getState().level);
+    }
+    expect(levels).toEqual(['debug', 'trace', 'verbose', 'debug']);
+
+    const listeners = process.listenerCount('SIGUSR2');
+    await logger.close();
+    expect(process.listenerCount('SIGUSR2')).toEqual(listeners - 1);
+  });
+
+  it('will apply the config file on top of options given in code', () => {
+    writeConfig({ level: 'debug', terminal_colors: { warn: 'magenta' } });
+    logger = new MayanTestLogger({ terminal_colors: { info: 'red' }, config_file: path });
+
+    const { options } = logger._getInternals();
+    expect(options.level).toEqual('debug');
+    expect(options.terminal_colors).toMatchObject({ info: 'red', warn: 'magenta', trace: 'gray' });
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const libPath = require('path');
+
+const { MayanLoggerOptions, MayanLoggerOptionsError } = require('../src/types');
+const { MayanLogger } = require('../src/logger');
+
+describe('MayanLoggerOptions.fromEnv', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(libPath.join(os.tmpdir(), 'mayan-logger-env-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('will read options from env variables', () => {
+    const options = MayanLoggerOptions.fromEnv({
+      LOG_LEVEL: 'Verbose',
+      LOG_LEVELS: 'UserManager=debug, Db*=5,Api -Noisy',
+      LOG_OUTPUT: 'logfmt',
+      LOG_TIMESTAMP: 'off',
+      LOG_TRACING: 'debug',
+      LOG_REDACT: 'password,user.token,/\\d{16}/',
+      NO_COLOR: '1',
+    });
+
+    expect(options).toMatchObject({
+      level: 'verbose',
+      collector_levels: { UserManager: 'debug', 'Db*': 'trace', Api: 'debug', Noisy: 'silent' },
+      output: 'logfmt',
+      timestamp: false,
+      tracing: { enabled: true, level: 'debug' },
+      redact: { keys: ['password'], paths: ['user.token'], values: [/\d{16}/] },
+      colors: false,
+    });
+
+    expect(MayanLoggerOptions.fromEnv({ NODE_ENV: 'production', FORCE_COLOR: '1' })).toMatchObject({
+      level: 'info',
+      output: 'json',
+      colors: true,
+    });
+  });
+
+  it('will load LOG_CONFIG file, and let other variables override it', () => {
+    const path = libPath.join(dir, 'logger.json');
+    fs.writeFileSync(
+      path,
+      JSON.stringify({
+        level: 'warn',
+        output: 'terminal',
+        collector_levels: { Db: 'error', Api: 'info' },
+        tracing: { level: 'verbose' },
+      })
+    );
+
+    const options = MayanLoggerOptions.fromEnv({
+      LOG_CONFIG: path,
+      NODE_ENV: 'production',
+      LOG_LEVELS: 'Api=debug',
+      LOG_TRACING: 'true',
+    });
+    expect(options).toMatchObject({
+      level: 'warn',
+      output: 'terminal',
+      collector_levels: { Db: 'error', Api: 'debug' },
+      tracing: { enabled: true, level: 'verbose' },
+    });
+  });
+
+  it('will throw options errors for invalid values', () => {
+    const invalid = [
+      [{ LOG_LEVEL: 'loud' }, /Invalid LOG_LEVEL environment variable "loud"/],
+      [{ LOG_LEVELS: 'Db=loud' }, /Invalid level in "Db=loud"/],
+      [{ LOG_LEVELS: '=debug' }, /Missing collector key/],
+      [{ LOG_OUTPUT: 'xml' }, /Invalid LOG_OUTPUT/],
+      [{ LOG_TIMESTAMP: 'maybe' }, /Invalid LOG_TIMESTAMP/],
+      [{ LOG_TRACING: 'sometimes' }, /Invalid LOG_TRACING/],
+      [{ LOG_REDACT: '/[/' }, /Invalid regex/],
+      [{ LOG_CONFIG: libPath.join(dir, 'missing.json') }, /Failed to load logger config/],
+    ];
+    for (const [env, message] of invalid) {
+      expect(() => MayanLoggerOptions.fromEnv(env)).toThrow(MayanLoggerOptionsError);
+      expect(() => MayanLoggerOptions.fromEnv(env)).toThrow(message);
+    }
+  });
+
+  it('will force colors on or off in terminal output', () => {
+    const lines = [];
+    const makeLogger = colors =>
+      new MayanLogger({
+        timestamp: false,
+        colors,
+        transports: [{ writer: (level, message) => lines.push(message) }],
+      });
+
+    makeLogger(false).log.info('plain');
+    makeLogger(true).log.info('colored');
+
+    expect(lines[0]).toEqual('   info: plain');
+    expect(lines[1]).toContain('\u001b[32m');
+  });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const libPath = require('path');
+
+const { FileFollower } = require('../src/follow');
+
+describe('FileFollower', () => {
+  let dir;
+  let follower;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(libPath.join(os.tmpdir(), 'mayan-logger-follow-'));
+  });
+  afterEach(() => {
+    follower && follower.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const tick = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  it('will report new lines, and continue after the file is rotated or truncated', async () => {
+    const path = libPath.join(dir, 'app.log');
+    fs.writeFileSync(path, 'old line\n');
+
+    const lines = [];
+    follower = new FileFollower(path, line => lines.push(line), { interval: 10 });
+    follower.start();
+
+    fs.appendFileSync(path, 'line 1\nline');
+    await tick();
+    expect(lines).toEqual(['line 1']);
+
+    // Rotate, the way file writer does it
+    fs.appendFileSync(path, ' 2\nlast of old file\n');
+    fs.renameSync(path, path + '.1');
+    fs.writeFileSync(path, 'new file\n');
+    await tick();
+    expect(lines).toEqual(['line 1', 'line 2', 'last of old file', 'new file']);
+
+    fs.truncateSync(path, 0);
+    await tick();
+    fs.appendFileSync(path, 'after truncate\n');
+    await tick();
+    expect(lines.slice(4)).toEqual(['after truncate']);
+  });
+
+  it('can read existing content first', async () => {
+    const path = libPath.join(dir, 'app.log');
+    fs.writeFileSync(path, 'existing\n');
+
+    const lines = [];
+    follower = new FileFollower(path, line => lines.push(line), { from_start: true, interval: 10 });
+    follower.start();
+    expect(lines).toEqual(['existing']);
+  });
+});
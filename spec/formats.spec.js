@@ -1,7 +1,13 @@
 'use strict';
 
-const { DEFAULT_TERMINAL_COLORS } = require('../src/types');
-const { formatForTerminal, TerminalPainter } = require('../src/formats');
+const { DEFAULT_TERMINAL_COLORS, MayanLoggerTerminalDataOptions } = require('../src/types');
+const {
+  formatForTerminal,
+  formatAsJSON,
+  formatAsLogfmt,
+  makeFormatter,
+  TerminalPainter,
+} = require('../src/formats');
 
 describe('formats', () => {
   const msg = (/** MayanLoggerMessage */ partialMsg = {}) => {
@@ -24,13 +30,15 @@ describe('formats', () => {
 
   describe('formatForTerminal', () => {
     it('will properly output info messages', () => {
-      expect(formatForTerminal(false, new TerminalPainter(DEFAULT_TERMINAL_COLORS), msg())).toEqual(
-        '[90m2020-08-22T21:34:42.016Z[39m [32m   info:[39m Message line 1\n' + 'Message line 2\n' + '\n'
-      );
+      expect(
+        formatForTerminal(false, new TerminalPainter(DEFAULT_TERMINAL_COLORS, true), msg())
+      ).toEqual('[90m2020-08-22T21:34:42.016Z[39m [32m   info:[39m Message line 1\n' + 'Message line 2\n' + '\n');
     });
 
     it('will indent multiline messages if specified', () => {
-      expect(formatForTerminal(true, new TerminalPainter(DEFAULT_TERMINAL_COLORS), msg())).toEqual(
+      expect(
+        formatForTerminal(true, new TerminalPainter(DEFAULT_TERMINAL_COLORS, true), msg())
+      ).toEqual(
         '[90m2020-08-22T21:34:42.016Z[39m [32m   info:[39m Message line 1\n' +
           '                                  Message line 2\n' +
           '                                  \n' +
@@ -42,11 +50,14 @@ describe('formats', () => {
       expect(
         formatForTerminal(
           true,
-          new TerminalPainter({
-            warn: null,
-            timestamp: null,
-            message: 'blue',
-          }),
+          new TerminalPainter(
+            {
+              warn: null,
+              timestamp: null,
+              message: 'blue',
+            },
+            true
+          ),
           msg({
             level: 'warn',
           })
@@ -58,5 +69,219 @@ describe('formats', () => {
           '                                  [39m'
       );
     });
+
+    it('will append bound fields to the first line', () => {
+      expect(
+        formatForTerminal(
+          true,
+          new TerminalPainter({}),
+          msg({
+            fields: { requestId: 'abc-123', user: 'John Doe', attempt: 2 },
+          })
+        )
+      ).toEqual(
+        '2020-08-22T21:34:42.016Z    info: Message line 1 requestId=abc-123 user="John Doe" attempt=2\n' +
+          '                                  Message line 2\n' +
+          '                                  \n' +
+          '                                  '
+      );
+    });
+
+    it('will render short data inline and longer data in blocks', () => {
+      const painter = new TerminalPainter({});
+      const dataOptions = { ...new MayanLoggerTerminalDataOptions(), colors: false };
+      const big = { description: 'x'.repeat(60), tags: ['a', 'b'] };
+      expect(
+        formatForTerminal(
+          true,
+          painter,
+          msg({ message: 'Saved', timestamp: null, data: [{ id: 5 }, 'ok', big] }),
+          dataOptions
+        )
+      ).toEqual(
+        '   info: Saved { id: 5 } ok\n' +
+          '           {\n' +
+          `             description: '${'x'.repeat(60)}',\n` +
+          "             tags: [ 'a', 'b' ]\n" +
+          '           }'
+      );
+
+      expect(
+        formatForTerminal(false, painter, msg({ message: 'Saved', timestamp: null, data: [big] }), {
+          ...dataOptions,
+          max_length: 10,
+        })
+      ).toEqual('   info: Saved\n  {\n    descri... (93 more characters)');
+
+      expect(
+        formatForTerminal(false, painter, msg({ message: 'Saved', timestamp: null, data: [1] }), {
+          ...dataOptions,
+          enabled: false,
+        })
+      ).toEqual('   info: Saved');
+    });
+
+    it('will not throw when extending a non-string message with error', () => {
+      const err = new Error('Duplicate key');
+      err.stack = 'Error: Duplicate key\n    at save';
+      const notFound = new Error('Not found');
+      notFound.code = 404;
+      const format = error =>
+        formatForTerminal(
+          false,
+          new TerminalPainter({}),
+          msg({ message: { a: 1 }, timestamp: null, error, data: [] })
+        );
+
+      expect(format(err)).toEqual('   info: [object Object]\nError: Duplicate key\n    at save');
+      expect(format(notFound)).toEqual('   info: [object Object]: Not found');
+    });
+
+    it('will show error causes and aggregated errors, without looping on cycles', () => {
+      const root = new Error('Connection refused');
+      root.stack = 'Error: Connection refused\n    at connect';
+      const wrapped = new Error('Query failed', { cause: root });
+      wrapped.stack = 'Error: Query failed\n    at query';
+      const aggregate = new AggregateError([wrapped, 'timeout'], 'All attempts failed');
+      aggregate.stack = 'AggregateError: All attempts failed';
+      root.cause = aggregate;
+
+      expect(
+        formatForTerminal(
+          false,
+          new TerminalPainter({}),
+          msg({ message: '', timestamp: null, error: aggregate, data: [] })
+        )
+      ).toEqual(
+        '   info: AggregateError: All attempts failed\n' +
+          '[1/2] Error: Query failed\n' +
+          '      at query\n' +
+          '  Caused by: Error: Connection refused\n' +
+          '      at connect\n' +
+          '  Caused by: [Circular]\n' +
+          '[2/2] timeout'
+      );
+
+      const plain = new Error('Saving user failed', { cause: 'ECONNRESET' });
+      plain.stack = 'Error: Saving user failed';
+      expect(
+        formatForTerminal(
+          false,
+          new TerminalPainter({}),
+          msg({ message: 'Request', timestamp: null, data: [plain] })
+        )
+      ).toEqual('   info: Request\n' + '  Error: Saving user failed\n' + '  Caused by: ECONNRESET');
+    });
+  });
+
+  describe('formatAsJSON', () => {
+    it('will put bound fields at the top level, without overriding standard keys', () => {
+      expect(
+        JSON.parse(
+          formatAsJSON(
+            msg({
+              message: 'Message',
+              fields: { requestId: 'abc-123', level: 'fake' },
+            })
+          )
+        )
+      ).toEqual({
+        requestId: 'abc-123',
+        message: 'Message',
+        level: 'info',
+        timestamp: '2020-08-22T21:34:42.016Z',
+        tags: ['a', 'b'],
+        data: { prop1: '1', prop2: '2' },
+        is_trace: false,
+      });
+    });
+
+    it('will include nested error causes and aggregated errors', () => {
+      const root = new Error('Connection refused');
+      root.code = 'ECONNREFUSED';
+      const aggregate = new AggregateError([root], 'All attempts failed', { cause: root });
+      const wrapped = new Error('Query failed', { cause: aggregate });
+      root.cause = wrapped;
+
+      const json = JSON.parse(formatAsJSON(msg({ message: '', error: wrapped })));
+      expect(json.message).toEqual('Query failed');
+      expect(json.error).toMatchObject({
+        message: 'Query failed',
+        cause: {
+          message: 'All attempts failed',
+          errors: [{ code: 'ECONNREFUSED', message: 'Connection refused', cause: '[Circular]' }],
+          cause: { code: 'ECONNREFUSED', message: 'Connection refused', cause: '[Circular]' },
+        },
+      });
+    });
+  });
+
+  describe('formatAsLogfmt', () => {
+    it('will output quoted and escaped key=value pairs, with flattened data and errors', () => {
+      const error = new Error('Query failed', { cause: new Error('Timeout') });
+      error.code = 'E_DB';
+      error.stack = 'Error: Query failed\n    at query';
+      error.cause.stack = 'Error: Timeout';
+
+      expect(
+        formatAsLogfmt(
+          msg({
+            message: 'Saving "user" failed',
+            error,
+            fields: { requestId: 'abc 123', level: 'fake' },
+            data: [{ user: { id: 5, tags: ['a'] }, empty: {}, note: null }],
+          })
+        )
+      ).toEqual(
+        'ts=2020-08-22T21:34:42.016Z level=info tags=a>b msg="Saving \\"user\\" failed" ' +
+          'err.code=E_DB err.message="Query failed" err.stack="Error: Query failed\\n    at query" ' +
+          'err.cause.message=Timeout err.cause.stack="Error: Timeout" requestId="abc 123" ' +
+          'data.user.id=5 data.user.tags.0=a data.empty={} data.note=null'
+      );
+    });
+
+    it('will number multiple data arguments and use error message if there is no message', () => {
+      expect(
+        formatAsLogfmt(
+          msg({ message: '', timestamp: null, error: { message: 'Oops' }, data: ['x=1', 2] })
+        )
+      ).toEqual('level=info tags=a>b msg=Oops err.message=Oops data.0="x=1" data.1=2');
+    });
+  });
+
+  describe('makeFormatter', () => {
+    it('will render output templates, with colors and multiline indentation', () => {
+      const format = makeFormatter({
+        output: '{time:HH:mm:ss.SSS} {level:-5} {tags} {msg} {data} {fields} {{pid={pid}}}',
+        indent_multiline: true,
+        colors: true,
+        terminal_colors: { ...DEFAULT_TERMINAL_COLORS, timestamp: null },
+      });
+      const timestamp = new Date(2020, 7, 22, 21, 34, 42, 16);
+
+      expect(
+        format(
+          msg({
+            timestamp,
+            collector: { tags: [], tagString: '' },
+            data: [{ id: 5 }],
+            fields: { requestId: 'abc' },
+          })
+        )
+      ).toEqual(
+        '21:34:42.016 \u001b[32minfo \u001b[39m Message line 1 { id: 5 } ' +
+          `\u001b[90mrequestId=abc\u001b[39m {pid=${process.pid}}\n` +
+          '                   Message line 2\n' +
+          '                   \n' +
+          '                   '
+      );
+    });
+
+    it('will reject unknown template tokens and outputs', () => {
+      expect(() => makeFormatter({ output: '{level} {message}' })).toThrow(
+        /Unknown token "{message}"/
+      );
+      expect(() => makeFormatter({ output: 'yaml' })).toThrow(/Invalid output "yaml"/);
+    });
   });
 });
@@ -0,0 +1,136 @@
+'use strict';
+
+const { MessageLimiter } = require('../src/limiter');
+const { MayanLogger } = require('../src/logger');
+const { MayanLoggerRateLimitOptions } = require('../src/types');
+
+describe('MessageLimiter', () => {
+  const makeLimiter = options => {
+    const clock = { time: 0 };
+    const limiter = new MessageLimiter(
+      new MayanLoggerRateLimitOptions({ enabled: true, ...options }),
+      () => clock.time
+    );
+    return { limiter, clock };
+  };
+
+  const db = { key: 'Db' };
+  const api = { key: 'Api' };
+
+  it('will limit each collector and level with a token bucket', () => {
+    const { limiter, clock } = makeLimiter({ rate: 2, burst: 3, duplicates: false });
+
+    const allowed = () => limiter.allow(db, 'error', 'Query failed');
+    expect([allowed(), allowed(), allowed(), allowed()]).toEqual([true, true, true, false]);
+    expect(limiter.allow(db, 'warn', 'Slow')).toBe(true);
+    expect(limiter.allow(api, 'error', 'Down')).toBe(true);
+
+    clock.time = 1000;
+    expect([allowed(), allowed(), allowed()]).toEqual([true, true, false]);
+
+    expect(limiter.suppressed).toEqual({ rate_limited: 2, duplicates: 0 });
+    expect(limiter.takeSummaries()).toEqual([
+      { collector: db, level: 'error', message: '2 error messages dropped by rate limit in 1s' },
+    ]);
+    expect(limiter.takeSummaries()).toEqual([]);
+  });
+
+  it('will share limits between collectors in global scope, and respect level overrides', () => {
+    const { limiter } = makeLimiter({
+      scope: 'global',
+      rate: 1,
+      burst: 1,
+      duplicates: false,
+      levels: { error: null },
+    });
+
+    expect(limiter.allow(db, 'info', 'a')).toBe(true);
+    expect(limiter.allow(api, 'info', 'b')).toBe(false);
+    expect(limiter.allow(api, 'error', 'c')).toBe(true);
+    expect(limiter.allow(api, 'error', 'c')).toBe(true);
+    expect(limiter.takeSummaries()).toEqual([
+      { collector: null, level: 'info', message: '1 info messages dropped by rate limit in 0s' },
+    ]);
+  });
+
+  it('will suppress duplicates within an interval', () => {
+    const { limiter, clock } = makeLimiter({ rate: 0 });
+
+    expect(limiter.allow(db, 'error', 'Query failed')).toBe(true);
+    clock.time = 4200;
+    for (let i = 0; i < 5; i++) {
+      expect(limiter.allow(db, 'error', 'Query failed')).toBe(false);
+    }
+    expect(limiter.allow(db, 'warn', 'Query failed')).toBe(true);
+    expect(limiter.allow(api, 'error', 'Query failed')).toBe(true);
+
+    expect(limiter.takeSummaries()).toEqual([
+      {
+        collector: db,
+        level: 'error',
+        message: 'Previous message repeated 5 times in 4.2s: "Query failed"',
+      },
+    ]);
+    expect(limiter.allow(db, 'error', 'Query failed')).toBe(true);
+    expect(limiter.suppressedByCollector).toEqual({ Db: { rate_limited: 0, duplicates: 5 } });
+  });
+
+  it('will not check messages without text for duplicates', () => {
+    const { limiter } = makeLimiter({ rate: 0 });
+
+    expect(limiter.allow(db, 'info', null)).toBe(true);
+    expect(limiter.allow(db, 'info', null)).toBe(true);
+    expect(limiter.suppressed).toEqual({ rate_limited: 0, duplicates: 0 });
+  });
+});
+
+describe('logger rate limiting', () => {
+  it('will drop floods, report counts in state and log summaries', async () => {
+    const messages = [];
+    const logger = new MayanLogger({
+      on_log: msg => messages.push(msg),
+      transports: [{ writer: () => {} }],
+      rate_limit: { enabled: true, rate: 1, burst: 2 },
+    });
+    const log = logger.for('Db');
+
+    for (let i = 0; i < 10; i++) {
+      log.error('Connection lost', { attempt: i });
+      log.warn(`Retry ${i}`);
+    }
+
+    expect(messages.map(msg => msg.message)).toEqual(['Connection lost', 'Retry 0', 'Retry 1']);
+    const state = logger.getState();
+    expect(state.suppressed).toEqual({ rate_limited: 8, duplicates: 9 });
+    expect(state.collectors.find(c => c.key === 'Db').suppressed).toEqual({
+      rate_limited: 8,
+      duplicates: 9,
+    });
+
+    await logger.close();
+    expect(messages.slice(3).map(msg => [msg.level, msg.message.replace(/[\d.]+s/, 'Xs')])).toEqual(
+      [
+        ['error', 'Previous message repeated 9 times in Xs: "Connection lost"'],
+        ['warn', '8 warn messages dropped by rate limit in Xs'],
+      ]
+    );
+  });
+
+  it('will handle object messages', () => {
+    const messages = [];
+    const logger = new MayanLogger({
+      on_log: msg => messages.push(msg),
+      transports: [{ writer: () => {} }],
+      rate_limit: { enabled: true },
+    });
+
+    expect(() => logger.log.info(Object.create(null))).not.toThrow();
+    logger.log.info({ a: 1 });
+    logger.log.info({ b: 2 });
+    logger.log.error(new Error('Failed'));
+    logger.log.error(new Error('Failed'));
+
+    expect(messages).toHaveLength(4);
+    expect(logger.getState().suppressed).toEqual({ rate_limited: 0, duplicates: 1 });
+  });
+});
@@ -0,0 +1,438 @@
+'use strict';
+
+const childProcess = require('child_process');
+
+const { MayanTestLogger } = require('../src/testing');
+const { formatAsJSON } = require('../src/formats');
+
+describe('logger', () => {
+  describe('runWithContext', () => {
+    it('will attach context fields to messages from any collector, across async calls', async () => {
+      const logger = new MayanTestLogger();
+      const log = logger.for('UserManager');
+
+      const getUser = async id => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        log.info('Fetched user ' + id);
+      };
+
+      await Promise.all([
+        logger.runWithContext({ requestId: 'r1' }, () => getUser(1)),
+        logger.runWithContext({ requestId: 'r2' }, () => getUser(2)),
+      ]);
+      log.info('Outside');
+
+      expect(logger.messages.map(msg => [msg.message, msg.fields])).toEqual(
+        expect.arrayContaining([
+          ['Fetched user 1', { requestId: 'r1' }],
+          ['Fetched user 2', { requestId: 'r2' }],
+          ['Outside', undefined],
+        ])
+      );
+    });
+
+    it('will merge nested contexts and bound collector fields', () => {
+      const logger = new MayanTestLogger();
+      const log = logger.for('Service').child({ jobId: 5, requestId: 'bound' });
+
+      const result = logger.runWithContext({ requestId: 'r1', userId: 1 }, () =>
+        logger.runWithContext({ userId: 2 }, () => {
+          log.info('Nested');
+          return logger.getContextFields();
+        })
+      );
+
+      expect(result).toEqual({ requestId: 'r1', userId: 2 });
+      expect(logger.messages[0].fields).toEqual({ requestId: 'bound', userId: 2, jobId: 5 });
+    });
+  });
+
+  describe('tracing', () => {
+    const makeTracedLogger = () =>
+      new MayanTestLogger({ tracing: { enabled: true, level: 'info' }, timestamp: false });
+
+    it('will log entry and exit of a traced call, with duration', () => {
+      const logger = makeTracedLogger();
+      const target = logger.for('Math').addTracing({
+        add(a, b) {
+          return a + b;
+        },
+      });
+
+      expect(target.add(1, 2)).toEqual(3);
+
+      const [entry, exit] = logger.messages;
+      expect(entry.message).toEqual('[TRACE] add(1, 2)');
+      expect(exit.message).toMatch(/^\[TRACE\] add\(1, 2\) returned 3 \([\d.]+ms\)$/);
+      expect(exit.trace.call_id).toEqual(entry.trace.call_id);
+      expect(exit.trace.outcome).toEqual('returned');
+      expect(exit.trace.duration_ms).toBeGreaterThanOrEqual(0);
+
+      const json = JSON.parse(formatAsJSON(exit));
+      expect(json).toMatchObject({
+        call_id: entry.trace.call_id,
+        outcome: 'returned',
+        duration_ms: exit.trace.duration_ms,
+        is_trace: true,
+      });
+      expect(json.trace).toBeUndefined();
+    });
+
+    it('will report thrown errors', () => {
+      const logger = makeTracedLogger();
+      const target = logger.for('Math').addTracing({
+        fail() {
+          throw new Error('Nope');
+        },
+      });
+
+      expect(() => target.fail()).toThrow('Nope');
+      expect(logger.messages[1].message).toMatch(/^\[TRACE\] fail\(\) threw \{Error: Nope\}/);
+      expect(logger.messages[1].trace.outcome).toEqual('threw');
+    });
+
+    it('will wait for promises to settle', async () => {
+      const logger = makeTracedLogger();
+      const target = logger.for('Db').addTracing({
+        async load(id) {
+          await new Promise(resolve => setTimeout(resolve, 5));
+          return { id };
+        },
+        async fail() {
+          throw new Error('Timeout');
+        },
+      });
+
+      const promise = target.load(7);
+      expect(logger.messages.length).toEqual(1);
+      expect(await promise).toEqual({ id: 7 });
+      await expect(target.fail()).rejects.toThrow('Timeout');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(logger.messages.map(msg => msg.trace.outcome)).toEqual([
+        undefined,
+        'resolved',
+        undefined,
+        'rejected',
+      ]);
+      expect(logger.messages[1].message).toMatch(/^\[TRACE\] load\(7\) resolved \{Hash: id=7\}/);
+      expect(logger.messages[1].trace.duration_ms).toBeGreaterThanOrEqual(4);
+    });
+
+    it('will not swallow unhandled rejections from traced async methods', () => {
+      // Jest catches unhandled rejections on its own, so we need a separate process to see them
+      const script = `
+        const { MayanTestLogger } = require(${JSON.stringify(require.resolve('../src/testing'))});
+        const logger = new MayanTestLogger({ tracing: { enabled: true, level: 'info' } });
+        const target = logger.for('Db').addTracing({
+          async fail() {
+            throw new Error('Ignored');
+          },
+        });
+        process.on('unhandledRejection', err => {
+          console.log(JSON.stringify([err.message, logger.messages[1].trace.outcome]));
+        });
+        target.fail();
+      `;
+      const output = childProcess.execFileSync(process.execPath, ['-e', script], {
+        encoding: 'utf8',
+      });
+
+      expect(JSON.parse(output)).toEqual(['Ignored', 'rejected']);
+    });
+
+    describe('classes', () => {
+      class Base {
+        constructor() {
+          this.value = 1;
+        }
+
+        baseMethod() {
+          return this.value;
+        }
+
+        static create() {
+          return new this();
+        }
+      }
+
+      class Service extends Base {
+        get doubled() {
+          return this.value * 2;
+        }
+
+        serviceMethod(a, b) {
+          return this.baseMethod() + a + b;
+        }
+      }
+
+      it('will trace methods from the whole prototype chain, keeping this, name and length', () => {
+        const logger = makeTracedLogger();
+        const service = logger.for('Service').addTracing(new Service());
+
+        expect(service.serviceMethod(2, 3)).toEqual(6);
+        expect(service.serviceMethod.name).toEqual('serviceMethod');
+        expect(service.serviceMethod.length).toEqual(2);
+        expect(service.doubled).toEqual(2);
+        expect(Service.prototype.serviceMethod).not.toBe(service.serviceMethod);
+
+        expect(logger.messages.filter(msg => !msg.trace.outcome).map(msg => msg.message)).toEqual([
+          '[TRACE] serviceMethod(2, 3)',
+          '[TRACE] baseMethod()',
+        ]);
+      });
+
+      it('will optionally trace accessors and statics', () => {
+        const logger = makeTracedLogger();
+        const service = logger
+          .for('Service')
+          .addTracing(new Service(), { accessors: true, statics: true });
+
+        expect(service.doubled).toEqual(2);
+        expect(Service.create()).toBeInstanceOf(Service);
+
+        expect(logger.messages.filter(msg => !msg.trace.outcome).map(msg => msg.message)).toEqual([
+          '[TRACE] get doubled()',
+          '[TRACE] create()',
+        ]);
+      });
+
+      it('will never wrap the same function twice', () => {
+        const logger = makeTracedLogger();
+        const log = logger.for('Service');
+        const service = log.addTracing(new Service());
+        log.addTracing(Object.create(service));
+        logger.for('Other').addTracing(service);
+
+        Object.create(service).serviceMethod(0, 0);
+        expect(logger.messages.filter(msg => !msg.trace.outcome).length).toEqual(2);
+      });
+    });
+  });
+
+  describe('live tracing toggle', () => {
+    const makeTarget = logger =>
+      logger.for('Service').addTracing({
+        work() {
+          return 'done';
+        },
+      });
+
+    it('will install shims even when tracing is disabled, and let us toggle it live', () => {
+      const logger = new MayanTestLogger({ tracing: { enabled: false, level: 'info' } });
+      const target = makeTarget(logger);
+
+      target.work();
+      expect(logger.messages.length).toEqual(0);
+
+      logger.setTracingEnabled(true);
+      target.work();
+      expect(logger.messages.length).toEqual(2);
+      expect(logger.getState().tracing_enabled).toBe(true);
+
+      logger.setTracingEnabled(false);
+      target.work();
+      expect(logger.messages.length).toEqual(2);
+    });
+
+    it('will allow overriding tracing for individual collectors', () => {
+      const logger = new MayanTestLogger({ tracing: { enabled: false, level: 'info' } });
+      const target = makeTarget(logger);
+      const other = logger.for('Other').addTracing({ work: () => 'done' });
+
+      logger.setCollectorTracing('Service', true);
+      target.work();
+      other.work();
+      expect(logger.messages.map(msg => msg.collector.key)).toEqual(['Service', 'Service']);
+      expect(logger.getState().collectors.find(c => c.key === 'Service').tracing).toBe(true);
+
+      logger.setTracingEnabled(true);
+      logger.setCollectorTracing('Service', false);
+      target.work();
+      other.work();
+      expect(logger.messages.map(msg => msg.collector.key)).toEqual([
+        'Service',
+        'Service',
+        'Other',
+        'Other',
+      ]);
+
+      expect(() => logger.setCollectorTracing('Missing', true)).toThrow(/Invalid collector key/);
+    });
+  });
+
+  describe('sampling', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('will sample by level and collector, and report the rate', () => {
+      const random = jest.spyOn(Math, 'random').mockReturnValue(0.3);
+      const logger = new MayanTestLogger({
+        level: 'debug',
+        sampling: { levels: { debug: 0.5 }, collectors: { HttpServer: { debug: 0.1 } } },
+      });
+      const http = logger.for('HttpServer', 'Router');
+      const db = logger.for('Db');
+
+      http.debug('dropped');
+      db.debug('kept');
+      db.info('not sampled');
+      logger.setSampleRate('debug', 0.4, 'HttpServer');
+      http.debug('kept now');
+      logger.setSampleRate('debug', undefined);
+      random.mockReturnValue(0.9);
+      db.debug('always kept');
+
+      expect(logger.messages.map(msg => [msg.message, msg.sample_rate])).toEqual([
+        ['kept', 0.5],
+        ['not sampled', undefined],
+        ['kept now', 0.4],
+        ['always kept', undefined],
+      ]);
+      expect(JSON.parse(formatAsJSON(logger.messages[0])).sample_rate).toEqual(0.5);
+      expect(logger.getState().sampling).toEqual({
+        levels: {},
+        collectors: { HttpServer: { debug: 0.4 } },
+      });
+      expect(() => logger.setSampleRate('debug', 2)).toThrow(/between 0 and 1/);
+    });
+
+    it('will keep or drop all messages with the same key field together', async () => {
+      const logger = new MayanTestLogger({
+        level: 'debug',
+        sampling: { levels: { debug: 0.5 }, key_field: 'requestId' },
+      });
+      const log = logger.for('Api');
+
+      for (let i = 0; i < 200; i++) {
+        await logger.runWithContext({ requestId: `r${i}` }, async () => {
+          log.debug('start');
+          await null;
+          log.debug('end');
+        });
+      }
+
+      const counts = {};
+      for (const msg of logger.messages) {
+        counts[msg.fields.requestId] = (counts[msg.fields.requestId] || 0) + 1;
+      }
+      expect(Object.values(counts).every(count => count === 2)).toBe(true);
+      expect(Object.keys(counts).length).toBeGreaterThan(60);
+      expect(Object.keys(counts).length).toBeLessThan(140);
+    });
+  });
+
+  describe('collector level rules', () => {
+    it('will apply patterns and inherit levels down the tag hierarchy', () => {
+      const logger = new MayanTestLogger({
+        level: 'info',
+        collector_levels: { Service: 'debug', 'Db_*': 'error' },
+      });
+      logger.setCollectorLevel('*_Worker', 'warn');
+
+      const levels = () =>
+        logger.getState().collectors.reduce((result, c) => {
+          result[c.key] = [c.effective_level, c.level_rule];
+          return result;
+        }, {});
+
+      logger.for('Service');
+      logger.for('Service', 'Api');
+      logger.for('Service', 'Worker');
+      logger.for('Service', 'Worker', 'Queue');
+      logger.for('Db', 'Pool');
+      logger.for('Db');
+
+      expect(levels()).toEqual({
+        '': ['info', undefined],
+        Service: ['debug', 'Service'],
+        Service_Api: ['debug', 'Service'],
+        Service_Worker: ['warn', '*_Worker'],
+        Service_Worker_Queue: ['warn', '*_Worker'],
+        Db_Pool: ['error', 'Db_*'],
+        Db: ['info', undefined],
+      });
+
+      logger.setCollectorLevel('Service_Worker', 'verbose');
+      logger.setCollectorLevel('Db_*', undefined);
+      expect(levels()).toMatchObject({
+        Service_Worker: ['verbose', 'Service_Worker'],
+        Service_Worker_Queue: ['verbose', 'Service_Worker'],
+        Db_Pool: ['info', undefined],
+      });
+      expect(logger.getState().level_rules).toEqual({
+        Service: 'debug',
+        '*_Worker': 'warn',
+        Service_Worker: 'verbose',
+      });
+    });
+
+    it('will apply rules set before collector is created', () => {
+      const logger = new MayanTestLogger({ level: 'info' });
+      logger.setCollectorLevel('Late', 'debug');
+
+      logger.for('Late').debug('shown');
+      logger.for('Other').debug('hidden');
+
+      expect(logger.messages.map(msg => msg.message)).toEqual(['shown']);
+      expect(() => logger.setCollectorLevel('Late', 'loud')).toThrow(/Invalid log level/);
+    });
+  });
+
+  describe('trace context', () => {
+    const HEADER = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+    it('will adopt incoming traceparent and nest spans of traced calls', async () => {
+      const logger = new MayanTestLogger({ tracing: { enabled: true, level: 'info' } });
+      const log = logger.for('Service');
+      const service = log.addTracing({
+        async outer() {
+          log.info('In outer');
+          await service.inner();
+        },
+        inner() {
+          log.info('In inner');
+          return logger.getTraceparent();
+        },
+      });
+
+      await logger.runWithTraceContext(HEADER, async () => {
+        log.info('Request');
+        await service.outer();
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const byMessage = message => logger.messages.find(msg => msg.message === message).span;
+      const request = byMessage('Request');
+      const outer = byMessage('In outer');
+      const inner = byMessage('In inner');
+
+      expect(request.trace_id).toEqual('4bf92f3577b34da6a3ce929d0e0e4736');
+      expect(request.parent_span_id).toEqual('00f067aa0ba902b7');
+      expect(outer.trace_id).toEqual(request.trace_id);
+      expect(outer.parent_span_id).toEqual(request.span_id);
+      expect(inner.parent_span_id).toEqual(outer.span_id);
+
+      // Entry and exit lines of a traced call belong to its span
+      const innerTraces = logger.messages.filter(msg => msg.message.startsWith('[TRACE] inner'));
+      expect(innerTraces.map(msg => msg.span.span_id)).toEqual([inner.span_id, inner.span_id]);
+
+      expect(
+        JSON.parse(formatAsJSON(logger.messages.find(msg => msg.message === 'In inner')))
+      ).toMatchObject({
+        trace_id: inner.trace_id,
+        span_id: inner.span_id,
+        parent_span_id: outer.span_id,
+        trace_flags: '01',
+      });
+    });
+
+    it('will start a new trace if traceparent is missing or invalid', () => {
+      const logger = new MayanTestLogger();
+      const traceparent = logger.runWithTraceContext('invalid', () => logger.getTraceparent());
+      expect(traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+      expect(logger.getTraceparent()).toBeUndefined();
+    });
+  });
+});
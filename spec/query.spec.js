@@ -0,0 +1,71 @@
+'use strict';
+
+const { compileQuery, LogCounter } = require('../src/query');
+
+describe('query', () => {
+  const payload = {
+    level: 'error',
+    message: 'Query failed',
+    timestamp: '2020-08-22T10:20:00.000Z',
+    tags: ['Api', 'Db'],
+    data: [{ userId: 42 }, { table: 'users' }],
+    error: { message: 'Connection timeout', code: 'ETIMEDOUT' },
+    is_trace: false,
+  };
+
+  describe('compileQuery', () => {
+    it('will match fields of JSON messages', () => {
+      const matches = expression => compileQuery(expression)(payload);
+
+      expect(matches('level>=warn and tags has "Db" and data.userId=42')).toBe(true);
+      expect(matches('level<error')).toBe(false);
+      expect(matches('level = error and not is_trace')).toBe(true);
+      expect(matches('tags has Web or data.table = orders')).toBe(false);
+      expect(matches('(tags has Web or data.table = users) and error.message ~ "time ?out"')).toBe(
+        true
+      );
+      expect(matches('data.userId != 42')).toBe(false);
+      expect(matches('data.missing != 42 and not data.missing')).toBe(true);
+      expect(
+        matches('timestamp >= 2020-08-22T10:00:00Z and timestamp < 2020-08-22T11:00:00Z')
+      ).toBe(true);
+      expect(matches('message has failed')).toBe(true);
+    });
+
+    it('will reject invalid expressions', () => {
+      expect(() => compileQuery('level >= loud')).toThrow(/not a valid level/);
+      expect(() => compileQuery('level >=')).toThrow(/expected value after ">="/);
+      expect(() => compileQuery('(level = info')).toThrow(/expected "\)"/);
+      expect(() => compileQuery('level = info tags')).toThrow(/unexpected "tags"/);
+    });
+  });
+
+  describe('LogCounter', () => {
+    it('will count by level, tag, error or field, in time buckets', () => {
+      const messages = [
+        payload,
+        { ...payload, level: 'warn', tags: ['Db'], error: undefined },
+        { ...payload, timestamp: '2020-08-22T11:30:00.000Z', tags: [] },
+      ];
+      const count = (countBy, bucketMs) => {
+        const counter = new LogCounter(countBy, bucketMs);
+        messages.forEach(msg => counter.add(msg));
+        return counter
+          .getRows()
+          .map(row => [row.bucket && row.bucket.toISOString(), row.key, row.count]);
+      };
+
+      expect(count('level')).toEqual([
+        [undefined, 'error', 2],
+        [undefined, 'warn', 1],
+      ]);
+      expect(count('tag', 60 * 60 * 1000)).toEqual([
+        ['2020-08-22T10:00:00.000Z', 'Db', 2],
+        ['2020-08-22T10:00:00.000Z', 'Api', 1],
+        ['2020-08-22T11:00:00.000Z', '(none)', 1],
+      ]);
+      expect(count('error')).toEqual([[undefined, 'Connection timeout', 2]]);
+      expect(count('data.userId')).toEqual([[undefined, '42', 3]]);
+    });
+  });
+});
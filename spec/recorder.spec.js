@@ -0,0 +1,81 @@
+'use strict';
+
+const { MayanTestLogger } = require('../src/testing');
+const { formatAsJSON, formatForTerminal, TerminalPainter } = require('../src/formats');
+const { DEFAULT_TERMINAL_COLORS } = require('../src/types');
+
+describe('flight recorder', () => {
+  const makeLogger = flightRecorder =>
+    new MayanTestLogger({
+      level: 'info',
+      flight_recorder: { enabled: true, ...flightRecorder },
+    });
+
+  const summarize = messages =>
+    messages.map(msg => [msg.level, msg.message, !!msg.backfilled, msg.fields]);
+
+  it('will write out recorded messages before an error, and on demand', () => {
+    const logger = makeLogger({ max_entries: 2 });
+    const log = logger.for('Db');
+
+    log.debug('Connecting');
+    log.verbose('Sending query', { sql: 'SELECT 1' });
+    log.trace('Too verbose to record');
+    log.info('Slow query');
+    log.debug('Retrying');
+    expect(logger.getState().flight_recorder).toEqual({ entries: 2, bytes: expect.any(Number) });
+
+    log.error('Query failed', new Error('timeout'));
+    log.debug('Disconnected');
+
+    expect(summarize(logger.messages)).toEqual([
+      ['info', 'Slow query', false, undefined],
+      ['verbose', 'Sending query', true, undefined],
+      ['debug', 'Retrying', true, undefined],
+      ['error', 'Query failed', false, undefined],
+    ]);
+    expect(logger.messages[1].data).toEqual([{ sql: 'SELECT 1' }]);
+    expect(JSON.parse(formatAsJSON(logger.messages[1])).backfilled).toBe(true);
+    const painter = new TerminalPainter(DEFAULT_TERMINAL_COLORS, false);
+    expect(formatForTerminal(false, painter, { ...logger.messages[2], timestamp: null })).toEqual(
+      '  debug: [Db] (backfilled) Retrying'
+    );
+
+    expect(logger.dumpFlightRecorder()).toEqual(1);
+    expect(logger.messages[4]).toMatchObject({ message: 'Disconnected', backfilled: true });
+    expect(logger.dumpFlightRecorder()).toEqual(0);
+  });
+
+  it('will keep a buffer per context, and flush only the one where error happened', async () => {
+    const logger = makeLogger({ scope: 'context', key_field: 'requestId' });
+    const log = logger.for('Api');
+
+    const handle = (requestId, fail) =>
+      logger.runWithContext({ requestId }, async () => {
+        log.debug('Start');
+        await null;
+        if (fail) {
+          log.error('Failed');
+        }
+      });
+    await Promise.all([handle('r1', false), handle('r2', true)]);
+
+    expect(summarize(logger.messages)).toEqual([
+      ['debug', 'Start', true, { requestId: 'r2' }],
+      ['error', 'Failed', false, { requestId: 'r2' }],
+    ]);
+    expect(logger.getState().flight_recorder.entries).toEqual(1);
+  });
+
+  it('will not throw when recording values with throwing getters', () => {
+    const logger = makeLogger({});
+    const data = {
+      get x() {
+        throw new Error('boom');
+      },
+    };
+
+    expect(() => logger.log.debug('hi', data)).not.toThrow();
+    expect(logger.getState().flight_recorder.entries).toEqual(1);
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const { Redactor } = require('../src/redact');
+const { MayanLoggerRedactOptions } = require('../src/types');
+const { MayanLogger } = require('../src/logger');
+const { formatAsJSON } = require('../src/formats');
+
+describe('redact', () => {
+  const make = source => new Redactor(new MayanLoggerRedactOptions(source));
+
+  it('will redact keys anywhere, case insensitive', () => {
+    const original = { user: { name: 'John', Password: 'secret' }, list: [{ token: 'x' }] };
+    expect(make(['password', 'token']).redact(original)).toEqual({
+      user: { name: 'John', Password: '[REDACTED]' },
+      list: [{ token: '[REDACTED]' }],
+    });
+    expect(original.user.Password).toEqual('secret');
+  });
+
+  it('will redact paths with wildcards', () => {
+    const redactor = make({
+      paths: ['user.password', 'headers.*', 'cards.*.number'],
+      censor: '***',
+    });
+    expect(
+      redactor.redact({
+        password: 'kept',
+        user: { password: 'secret' },
+        headers: { auth: 'a', cookie: 'b' },
+        cards: [{ number: '1', owner: 'John' }],
+      })
+    ).toEqual({
+      password: 'kept',
+      user: { password: '***' },
+      headers: { auth: '***', cookie: '***' },
+      cards: [{ number: '***', owner: 'John' }],
+    });
+  });
+
+  it('will redact matching values inside strings', () => {
+    const redactor = make([/\b\d{4}-\d{4}-\d{4}-\d{4}\b/]);
+    expect(redactor.redact('Card 1234-5678-9012-3456 used')).toEqual('Card [REDACTED] used');
+    expect(redactor.redact({ note: 'card 1234-5678-9012-3456' })).toEqual({
+      note: 'card [REDACTED]',
+    });
+  });
+
+  it('will keep unchanged values and handle circular references', () => {
+    const redactor = make(['password']);
+    const circular = { name: 'a', password: 'b' };
+    circular.self = circular;
+    const result = redactor.redact(circular);
+    expect(result.password).toEqual('[REDACTED]');
+    expect(result.self).toBe(circular);
+
+    const clean = { name: 'a' };
+    expect(redactor.redact(clean)).toBe(clean);
+  });
+
+  it('will redact error properties, keeping the error intact', () => {
+    class HttpError extends Error {}
+    const err = new HttpError('Request failed');
+    err.config = { headers: { authorization: 'Bearer abc' } };
+
+    const result = make(['authorization']).redact(err);
+    expect(result).toBeInstanceOf(HttpError);
+    expect(result.message).toEqual('Request failed');
+    expect(result.stack).toEqual(err.stack);
+    expect(result.config.headers.authorization).toEqual('[REDACTED]');
+    expect(err.config.headers.authorization).toEqual('Bearer abc');
+  });
+
+  it('will be applied by logger to data, errors, fields and tracing arguments', () => {
+    const messages = [];
+    const logger = new MayanLogger({
+      level: 'trace',
+      redact: ['password', 'token', /secret-\w+/],
+      tracing: { enabled: true },
+      on_log: msg => messages.push(msg),
+      transports: [{ writer: () => {} }],
+    });
+    const log = logger.for('Auth');
+    const err = new Error('Login failed');
+    err.token = 'abc';
+
+    log.child({ token: 't1' }).info('Login', { user: 'john', password: 'pwd' });
+    log.error('Failed', err);
+    log.addTracing({ login: () => {} }).login({ id: 1, name: 'secret-name' });
+
+    expect(messages[0].data).toEqual([{ user: 'john', password: '[REDACTED]' }]);
+    expect(messages[0].fields).toEqual({ token: '[REDACTED]' });
+    expect(messages[1].error.token).toEqual('[REDACTED]');
+    expect(messages[2].message).toEqual('[TRACE] login({Hash: id=1 name=[REDACTED]})');
+  });
+
+  it('will be applied by logger to logged message, when it is an object or a string', () => {
+    const messages = [];
+    const logger = new MayanLogger({
+      redact: ['password', /eyJ[\w-]*\.[\w-]*\.[\w-]*/],
+      on_log: msg => messages.push(msg),
+      transports: [{ writer: () => {} }],
+    });
+
+    logger.log.info({ user: 'a', password: 'hunter2' });
+    logger.log.info('token eyJa.b.c');
+    logger.log.info(42);
+
+    expect(messages.map(msg => msg.message)).toEqual([
+      { user: 'a', password: '[REDACTED]' },
+      'token [REDACTED]',
+      42,
+    ]);
+    expect(JSON.parse(formatAsJSON(messages[0])).message).toEqual({
+      user: 'a',
+      password: '[REDACTED]',
+    });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const { safeStringify } = require('../src/serialize');
+const { MayanLoggerJSONOptions } = require('../src/types');
+const { MayanLogger } = require('../src/logger');
+
+describe('serialize', () => {
+  const stringify = (value, limits) =>
+    JSON.parse(safeStringify(value, new MayanLoggerJSONOptions(limits)));
+
+  it('will replace circular references', () => {
+    const req = { url: '/test', headers: { host: 'x' } };
+    req.self = req;
+    req.headers.req = req;
+    const shared = { a: 1 };
+
+    expect(stringify({ req, one: shared, two: shared })).toEqual({
+      req: { url: '/test', headers: { host: 'x', req: '[Circular]' }, self: '[Circular]' },
+      one: { a: 1 },
+      two: { a: 1 },
+    });
+  });
+
+  it('will render special values meaningfully', () => {
+    expect(
+      stringify({
+        big: BigInt(10) ** BigInt(20),
+        map: new Map([
+          ['a', 1],
+          [{ id: 1 }, 2],
+        ]),
+        set: new Set([1, 'two']),
+        buffer: Buffer.from('hi'),
+        typed: new Uint8Array([1, 2]),
+        symbol: Symbol('sym'),
+        fn: function doStuff() {},
+        date: new Date('2020-08-22T21:34:42.016Z'),
+        regex: /x+/g,
+        err: Object.assign(new Error('Boom'), { code: 'E_BOOM' }),
+        get broken() {
+          throw new Error('Nope');
+        },
+      })
+    ).toEqual({
+      big: '100000000000000000000',
+      map: { a: 1, '{ id: 1 }': 2 },
+      set: [1, 'two'],
+      buffer: '<Buffer 68 69>',
+      typed: [1, 2],
+      symbol: 'Symbol(sym)',
+      fn: '[Function: doStuff]',
+      date: '2020-08-22T21:34:42.016Z',
+      regex: '/x+/g',
+      err: { code: 'E_BOOM', message: 'Boom', stack: expect.stringContaining('Error: Boom') },
+      broken: '[Throws: Nope]',
+    });
+  });
+
+  it('will enforce depth, key count and size limits', () => {
+    expect(stringify({ a: { b: { c: { d: 1 } } }, list: [[1]] }, { max_depth: 2 })).toEqual({
+      a: { b: '[Object]' },
+      list: ['[Array]'],
+    });
+
+    expect(stringify({ list: [1, 2, 3, 4], obj: { a: 1, b: 2, c: 3 } }, { max_keys: 2 })).toEqual({
+      list: [1, 2, '... 2 more items'],
+      obj: { a: 1, b: 2, '...': '1 more keys' },
+    });
+
+    const result = safeStringify(
+      { text: 'x'.repeat(1000), more: ['a', 'b'] },
+      new MayanLoggerJSONOptions({ max_length: 100 })
+    );
+    expect(result.length).toBeLessThan(200);
+    expect(JSON.parse(result).text).toMatch(/^x+\.\.\.\[Truncated\]$/);
+  });
+
+  it('will never let a log call throw because of logged data', () => {
+    const lines = [];
+    const logger = new MayanLogger({
+      output: 'json',
+      transports: [{ writer: (level, line) => lines.push(line) }],
+    });
+    const circular = { id: BigInt(1) };
+    circular.circular = circular;
+
+    expect(() => logger.log.info('Circular', circular)).not.toThrow();
+    expect(JSON.parse(lines[0]).data).toEqual([{ id: '1', circular: '[Circular]' }]);
+  });
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const { parseTraceparent, formatTraceparent, startSpan } = require('../src/spans');
+
+describe('spans', () => {
+  const HEADER = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+  describe('parseTraceparent', () => {
+    it('will parse valid headers', () => {
+      expect({ ...parseTraceparent(HEADER) }).toEqual({
+        trace_id: '4bf92f3577b34da6a3ce929d0e0e4736',
+        span_id: '00f067aa0ba902b7',
+        parent_span_id: undefined,
+        trace_flags: '01',
+      });
+    });
+
+    it('will reject invalid headers', () => {
+      expect(parseTraceparent(undefined)).toBeNull();
+      expect(parseTraceparent('garbage')).toBeNull();
+      expect(parseTraceparent(HEADER.replace(/^00/, 'ff'))).toBeNull();
+      expect(parseTraceparent(HEADER + '-extra')).toBeNull();
+      expect(parseTraceparent('00-' + '0'.repeat(32) + '-00f067aa0ba902b7-01')).toBeNull();
+      expect(
+        parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-' + '0'.repeat(16) + '-01')
+      ).toBeNull();
+    });
+
+    it('will accept future versions with extra fields', () => {
+      expect(parseTraceparent(HEADER.replace(/^00/, '01') + '-extra').span_id).toEqual(
+        '00f067aa0ba902b7'
+      );
+    });
+  });
+
+  describe('startSpan', () => {
+    it('will continue parent trace, or start a new one', () => {
+      const parent = parseTraceparent(HEADER);
+      const child = startSpan(parent);
+      expect(child.trace_id).toEqual(parent.trace_id);
+      expect(child.parent_span_id).toEqual(parent.span_id);
+      expect(child.span_id).toMatch(/^[0-9a-f]{16}$/);
+
+      const root = startSpan();
+      expect(root.trace_id).toMatch(/^[0-9a-f]{32}$/);
+      expect(root.parent_span_id).toBeUndefined();
+      expect(formatTraceparent(root)).toEqual(`00-${root.trace_id}-${root.span_id}-01`);
+    });
+  });
+});
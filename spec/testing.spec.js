@@ -0,0 +1,63 @@
+'use strict';
+
+const { MayanTestLogger, matchers, expectNoUnexpectedLogs } = require('../testing');
+
+expect.extend(matchers);
+
+describe('MayanTestLogger', () => {
+  class TimeoutError extends Error {}
+
+  it('will capture messages and let you query them', () => {
+    const onLog = jest.fn();
+    const logger = new MayanTestLogger({ on_log: onLog });
+    const db = logger.for('Db');
+    const api = logger.for('Api', 'Users');
+
+    db.trace('Connecting');
+    api.info('Request', { path: '/users' });
+    db.error('Query failed', new TimeoutError('timeout after 5s'));
+
+    expect(onLog).toHaveBeenCalledTimes(3);
+    expect(logger.messages.map(msg => msg.message)).toEqual([
+      'Connecting',
+      'Request',
+      'Query failed',
+    ]);
+    expect(logger.byLevel('info')[0].data).toEqual([{ path: '/users' }]);
+    expect(logger.byTag('Users').map(msg => msg.message)).toEqual(['Request']);
+    expect(logger.byTag('Db')).toHaveLength(2);
+    expect(logger.find('error', /timeout/).collector.key).toEqual('Db');
+    expect(logger.find(null, msg => msg.data)).toBe(logger.messages[1]);
+    expect(logger.find('warn')).toBeUndefined();
+
+    expect(logger).toHaveLogged('error', /timeout/);
+    expect(logger).toHaveLogged('info', 'Req');
+    expect(logger).toHaveLogged(null, 'Connecting');
+    expect(logger).not.toHaveLogged('warn');
+    expect(logger).toHaveLoggedError(TimeoutError);
+    expect(logger.byLevel('info')).not.toHaveLoggedError();
+    expect(logger).not.toHaveLoggedError(TypeError);
+    expect(logger).toHaveLoggedError(/after \d+s/);
+
+    expect(() => expect(logger).toHaveLogged('warn', 'Slow')).toThrow(
+      /Expected warn message matching "Slow" to be logged. Logged:[\s\S]+error: \[Db\] Query failed \(Error: timeout after 5s\)/
+    );
+
+    logger.clear();
+    expect(logger.messages).toEqual([]);
+  });
+
+  it('will fail on unexpected warnings and errors', () => {
+    const logger = new MayanTestLogger();
+    logger.log.info('All good');
+    expectNoUnexpectedLogs(logger);
+
+    logger.log.warn('Cache miss');
+    logger.log.error(new TimeoutError('Slow'));
+    expect(() => expectNoUnexpectedLogs(logger, [/miss/])).toThrow(
+      'Expected no warn or more severe messages to be logged, but got:\n  error: (Error: Slow)'
+    );
+    expectNoUnexpectedLogs(logger, ['Cache', 'Slow']);
+    expectNoUnexpectedLogs(logger, ['Slow'], 'error');
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const { PassThrough } = require('stream');
+
+const { MayanLogger } = require('../src/logger');
+const { MayanLoggerOptionsError } = require('../src/types');
+
+describe('transports', () => {
+  const makeCapture = () => {
+    const lines = [];
+    const writer = (level, message) => lines.push({ level, message });
+    writer.lines = lines;
+    return writer;
+  };
+
+  it('will write each message to all transports, using their own formats', () => {
+    const terminal = makeCapture();
+    const json = makeCapture();
+    const logger = new MayanLogger({
+      timestamp: false,
+      transports: [
+        { output: 'terminal', writer: terminal, terminal_colors: { info: null, tags: null } },
+        { output: 'json', writer: json },
+      ],
+    });
+
+    logger.for('Service').info('Hello', { a: 1 });
+
+    expect(terminal.lines).toEqual([
+      { level: 'info', message: '   info: [Service] Hello { a: 1 }' },
+    ]);
+    expect(json.lines.length).toEqual(1);
+    expect(JSON.parse(json.lines[0].message)).toMatchObject({
+      message: 'Hello',
+      level: 'info',
+      tags: ['Service'],
+      data: [{ a: 1 }],
+    });
+  });
+
+  it('will respect transport levels', () => {
+    const everything = makeCapture();
+    const errorsOnly = makeCapture();
+    const logger = new MayanLogger({
+      level: 'debug',
+      transports: [{ writer: everything }, { writer: errorsOnly, level: 'error' }],
+    });
+
+    logger.log.debug('debug');
+    logger.log.warn('warn');
+    logger.log.error('error');
+
+    expect(everything.lines.map(l => l.level)).toEqual(['debug', 'warn', 'error']);
+    expect(errorsOnly.lines.map(l => l.level)).toEqual(['error']);
+  });
+
+  it('will support custom formatters and stream writer', () => {
+    const stream = new PassThrough();
+    const logger = new MayanLogger({
+      transports: [
+        {
+          writer: 'stream',
+          stream,
+          output: msg => `${msg.level.toUpperCase()} ${msg.message}`,
+        },
+      ],
+    });
+
+    logger.log.info('one');
+    logger.log.warn('two');
+
+    expect(stream.read().toString()).toEqual('INFO one\nWARN two\n');
+  });
+
+  it('will validate transport options', () => {
+    expect(() => new MayanLogger({ transports: [{ writer: 'nope' }] })).toThrow(
+      MayanLoggerOptionsError
+    );
+    expect(() => new MayanLogger({ transports: [{ writer: 'stream' }] })).toThrow(
+      MayanLoggerOptionsError
+    );
+    expect(() => new MayanLogger({ transports: [{ level: 'loud' }] })).toThrow(
+      MayanLoggerOptionsError
+    );
+  });
+});
@@ -0,0 +1,420 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const libPath = require('path');
+const zlib = require('zlib');
+
+const { Writable } = require('stream');
+
+const { makeConsoleWriter, makeFileWriter, makeStreamWriter } = require('../src/writers');
+const { MayanLogger } = require('../src/logger');
+const {
+  MayanLoggerFileOptions,
+  MayanLoggerAsyncOptions,
+  MayanLoggerOptionsError,
+} = require('../src/types');
+
+describe('writers', () => {
+  describe('makeFileWriter', () => {
+    let dir;
+    let writer;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(libPath.join(os.tmpdir(), 'mayan-logger-'));
+    });
+
+    afterEach(async () => {
+      if (writer) {
+        await writer.close();
+        writer = null;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const make = options => {
+      writer = makeFileWriter(
+        new MayanLoggerFileOptions({ path: libPath.join(dir, 'logs', 'app.log'), ...options })
+      );
+      return writer;
+    };
+
+    const listArchives = () =>
+      fs
+        .readdirSync(libPath.join(dir, 'logs'))
+        .filter(name => name !== 'app.log')
+        .sort();
+
+    it('will append lines to a file, creating the directory', () => {
+      make();
+      writer('info', 'line 1');
+      writer('error', 'line 2');
+
+      expect(fs.readFileSync(libPath.join(dir, 'logs', 'app.log'), 'utf8')).toEqual(
+        'line 1\nline 2\n'
+      );
+    });
+
+    it('will rotate by size and keep only the requested number of archives', async () => {
+      make({ max_size: 10, keep: 2 });
+      for (let i = 0; i < 5; i++) {
+        writer('info', `line ${i}`);
+      }
+      await writer.close();
+
+      expect(fs.readFileSync(libPath.join(dir, 'logs', 'app.log'), 'utf8')).toEqual('line 4\n');
+      const archives = listArchives();
+      expect(archives.length).toEqual(2);
+      expect(archives.every(name => /^app\.log\.\d{4}-\d{2}-\d{2}-\d{6}(-\d+)?$/.test(name))).toBe(
+        true
+      );
+    });
+
+    it('will gzip archives', async () => {
+      make({ max_size: 10, compress: true });
+      writer('info', 'line 1');
+      writer('info', 'line 2');
+      await writer.close();
+
+      const archives = listArchives();
+      expect(archives.length).toEqual(1);
+      expect(archives[0]).toMatch(/\.gz$/);
+      expect(
+        zlib.gunzipSync(fs.readFileSync(libPath.join(dir, 'logs', archives[0]))).toString()
+      ).toEqual('line 1\n');
+    });
+
+    it('will reopen the file on SIGHUP', () => {
+      make({ reopen_on_sighup: true });
+      writer('info', 'before');
+      fs.renameSync(libPath.join(dir, 'logs', 'app.log'), libPath.join(dir, 'logs', 'moved.log'));
+      process.emit('SIGHUP');
+      writer('info', 'after');
+
+      expect(fs.readFileSync(libPath.join(dir, 'logs', 'moved.log'), 'utf8')).toEqual('before\n');
+      expect(fs.readFileSync(libPath.join(dir, 'logs', 'app.log'), 'utf8')).toEqual('after\n');
+    });
+
+    it('will report and recover if the file is removed before rotation', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        make({ max_size: 10 });
+        writer('info', 'line 1');
+        fs.unlinkSync(libPath.join(dir, 'logs', 'app.log'));
+        writer('info', 'line 2');
+
+        expect(fs.readFileSync(libPath.join(dir, 'logs', 'app.log'), 'utf8')).toEqual('line 2\n');
+        expect(listArchives()).toEqual([]);
+        expect(consoleError).toHaveBeenCalledTimes(1);
+        expect(consoleError.mock.calls[0][0]).toMatch(/^Failed to rotate log file/);
+      } finally {
+        consoleError.mockRestore();
+      }
+    });
+  });
+
+  describe('makeStreamWriter', () => {
+    it('will write to stream directly, without waiting for drain', () => {
+      const chunks = [];
+      const stream = new Writable({
+        highWaterMark: 1,
+        write(chunk, encoding, callback) {
+          chunks.push(chunk.toString());
+        },
+      });
+      const writer = makeStreamWriter(stream);
+
+      for (let i = 0; i < 50; i++) {
+        writer('info', `line ${i}`);
+      }
+
+      expect(stream.listenerCount('drain')).toEqual(0);
+      expect(chunks).toEqual(['line 0\n']);
+      expect(stream.writableLength).toEqual(50 * 'line 0\n'.length + 40);
+    });
+  });
+
+  describe('async writing', () => {
+    /**
+     * Stream which accepts one chunk at a time. It will stay blocked until we call release().
+     */
+    const makeSlowStream = (released = false) => {
+      const chunks = [];
+      const pending = [];
+      const stream = new Writable({
+        highWaterMark: 1,
+        write(chunk, encoding, callback) {
+          chunks.push(chunk.toString());
+          if (released) {
+            return callback();
+          }
+          pending.push(callback);
+        },
+      });
+      stream.chunks = chunks;
+      stream.release = () => {
+        released = true;
+        pending.splice(0).forEach(callback => callback());
+      };
+      return stream;
+    };
+
+    const asyncOptions = options => new MayanLoggerAsyncOptions({ enabled: true, ...options });
+
+    it('will batch lines and wait for the stream to drain', async () => {
+      const stream = makeSlowStream();
+      const writer = makeStreamWriter(stream, asyncOptions());
+
+      writer('info', 'line 1');
+      writer('info', 'line 2');
+      expect(stream.chunks).toEqual([]);
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(stream.chunks).toEqual(['line 1\nline 2\n']);
+
+      writer('info', 'line 3');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(stream.chunks).toEqual(['line 1\nline 2\n']);
+
+      const flushed = writer.flush();
+      stream.release();
+      await flushed;
+      expect(stream.chunks).toEqual(['line 1\nline 2\n', 'line 3\n']);
+    });
+
+    it('will drop oldest lines on overflow', async () => {
+      const stream = makeSlowStream(true);
+      const writer = makeStreamWriter(stream, asyncOptions({ max_buffered: 2 }));
+
+      writer('info', 'line 1');
+      writer('info', 'line 2');
+      writer('info', 'line 3');
+      await writer.flush();
+
+      expect(stream.chunks).toEqual(['line 2\nline 3\n']);
+      expect(writer.getDroppedCount()).toEqual(1);
+    });
+
+    it('will drop debug lines first on overflow, if requested', async () => {
+      const stream = makeSlowStream(true);
+      const writer = makeStreamWriter(
+        stream,
+        asyncOptions({ max_buffered: 2, overflow: 'drop_debug' })
+      );
+
+      writer('info', 'info 1');
+      writer('debug', 'debug 1');
+      writer('info', 'info 2');
+      writer('trace', 'trace 1');
+      await writer.flush();
+
+      expect(stream.chunks).toEqual(['info 1\ninfo 2\n']);
+      expect(writer.getDroppedCount()).toEqual(2);
+    });
+
+    /**
+     * Replace console output with a stream which only finishes writes once we release it. Chunks that were
+     * actually written, including synchronous writes to stdout, end up in output.
+     */
+    const captureStdout = highWaterMark => {
+      const output = [];
+      const held = [];
+      let released = false;
+      const stream = new Writable({
+        highWaterMark,
+        write(chunk, encoding, callback) {
+          const finish = () => {
+            output.push(chunk.toString());
+            callback();
+          };
+          if (released) {
+            finish();
+          } else {
+            held.push(finish);
+          }
+        },
+      });
+
+      const originalStdout = console._stdout;
+      console._stdout = stream;
+      const writeSync = jest
+        .spyOn(fs, 'writeSync')
+        .mockImplementation((fd, chunk) => output.push(`${fd}: ${chunk}`));
+
+      return {
+        output,
+        release: () => {
+          released = true;
+          held.splice(0).forEach(finish => finish());
+        },
+        restore: () => {
+          console._stdout = originalStdout;
+          writeSync.mockRestore();
+        },
+      };
+    };
+
+    it('will block on console by writing to stdout synchronously', async () => {
+      const stdout = captureStdout(1);
+      try {
+        const writer = makeConsoleWriter(asyncOptions({ overflow: 'block', max_buffered: 1 }));
+        writer('info', 'line 1');
+        writer('info', 'line 2');
+        expect(stdout.output).toEqual(['1: line 1\n']);
+
+        const flushed = writer.flush();
+        stdout.release();
+        await flushed;
+        expect(stdout.output).toEqual(['1: line 1\n', 'line 2\n']);
+      } finally {
+        stdout.restore();
+      }
+    });
+
+    it('will not block ahead of a write that is still in progress', async () => {
+      const stdout = captureStdout(1);
+      try {
+        const writer = makeConsoleWriter(asyncOptions({ overflow: 'block', max_buffered: 1 }));
+        writer('info', 'line 1');
+        await new Promise(resolve => setImmediate(resolve));
+        writer('info', 'line 2');
+        writer('info', 'line 3');
+
+        const flushed = writer.flush();
+        stdout.release();
+        await flushed;
+        expect(stdout.output).toEqual(['line 1\n', 'line 2\nline 3\n']);
+      } finally {
+        stdout.restore();
+      }
+    });
+
+    it('will not block ahead of chunks queued in the console stream', async () => {
+      const stdout = captureStdout(1000);
+      try {
+        const writer = makeConsoleWriter(asyncOptions({ overflow: 'block', max_buffered: 1 }));
+        writer('info', 'line 1');
+        await new Promise(resolve => setImmediate(resolve));
+        writer('info', 'line 2');
+        writer('info', 'line 3');
+
+        const flushed = writer.flush();
+        stdout.release();
+        await flushed;
+        expect(stdout.output).toEqual(['line 1\n', 'line 2\n', 'line 3\n']);
+      } finally {
+        stdout.restore();
+      }
+    });
+
+    it('will report errors thrown by the destination and keep writing', async () => {
+      const chunks = [];
+      const stream = {
+        write: chunk => {
+          if (chunk.includes('bad')) {
+            throw new Error('Broken');
+          }
+          chunks.push(chunk);
+          return true;
+        },
+      };
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const writer = makeStreamWriter(stream, asyncOptions());
+        writer('info', 'bad line');
+        await writer.flush();
+        writer('info', 'good line');
+        await writer.flush();
+
+        expect(chunks).toEqual(['good line\n']);
+        expect(consoleError).toHaveBeenCalledTimes(1);
+        expect(consoleError.mock.calls[0][1].message).toEqual('Broken');
+      } finally {
+        consoleError.mockRestore();
+      }
+    });
+
+    it('will refuse to block on streams it can only write to asynchronously', () => {
+      expect(() => makeStreamWriter(makeSlowStream(), asyncOptions({ overflow: 'block' }))).toThrow(
+        MayanLoggerOptionsError
+      );
+    });
+
+    it('will wait for the write in progress before closing the file on reopen', async () => {
+      const dir = fs.mkdtempSync(libPath.join(os.tmpdir(), 'mayan-logger-'));
+      const filePath = libPath.join(dir, 'app.log');
+      const closeSync = jest.spyOn(fs, 'closeSync');
+      try {
+        const writer = makeFileWriter(
+          new MayanLoggerFileOptions({ path: filePath }),
+          asyncOptions()
+        );
+
+        writer('info', 'line 1');
+        await new Promise(resolve => setImmediate(resolve));
+        writer.reopen();
+        expect(closeSync).not.toHaveBeenCalled();
+
+        await writer.flush();
+        expect(closeSync).toHaveBeenCalledTimes(1);
+        writer('info', 'line 2');
+        await writer.close();
+        expect(fs.readFileSync(filePath, 'utf8')).toEqual('line 1\nline 2\n');
+      } finally {
+        closeSync.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('will report and recover if the file is removed before rotation', async () => {
+      const dir = fs.mkdtempSync(libPath.join(os.tmpdir(), 'mayan-logger-'));
+      const filePath = libPath.join(dir, 'app.log');
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const writer = makeFileWriter(
+          new MayanLoggerFileOptions({ path: filePath, max_size: 10 }),
+          asyncOptions()
+        );
+
+        writer('info', 'line 1');
+        await writer.flush();
+        fs.unlinkSync(filePath);
+        writer('info', 'line 2');
+        await writer.close();
+
+        expect(fs.readdirSync(dir)).toEqual(['app.log']);
+        expect(fs.readFileSync(filePath, 'utf8')).toEqual('line 2\n');
+        expect(consoleError).toHaveBeenCalledTimes(1);
+        expect(consoleError.mock.calls[0][0]).toMatch(/^Failed to rotate log file/);
+      } finally {
+        consoleError.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('will let logger flush and close async file transports', async () => {
+      const dir = fs.mkdtempSync(libPath.join(os.tmpdir(), 'mayan-logger-'));
+      const filePath = libPath.join(dir, 'app.log');
+      const logger = new MayanLogger({
+        timestamp: false,
+        async: { enabled: true, overflow: 'block', max_buffered: 2 },
+        transports: [{ writer: 'file', file: { path: filePath }, output: msg => msg.message }],
+      });
+
+      logger.log.info('line 1');
+      logger.log.info('line 2');
+      logger.log.info('line 3');
+      expect(fs.readFileSync(filePath, 'utf8')).toEqual('line 1\nline 2\n');
+
+      await logger.flush();
+      expect(fs.readFileSync(filePath, 'utf8')).toEqual('line 1\nline 2\nline 3\n');
+
+      logger.log.info('line 4');
+      await logger.close();
+      logger.log.info('line 5');
+      expect(fs.readFileSync(filePath, 'utf8')).toEqual('line 1\nline 2\nline 3\nline 4\n');
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
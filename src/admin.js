@@ -0,0 +1,415 @@
+'use strict';
+
+const { LOG_LEVELS, MayanLoggerError, MayanLoggerAdminOptions } = require('./types');
+
+/**
+ * Create HTTP handler for controlling the logger live. It can be used directly with node's http server, mounted
+ * as Express middleware, or as Koa middleware (handler.koa).
+ *
+ * Routes (under options.prefix):
+ *   GET /                         - HTML page (if enabled)
+ *   GET /state                    - logger state
+ *   PUT /level                    - {"level": "debug"}
+ *   PUT /enabled                  - {"enabled": false}
+ *   PUT /tracing                  - {"enabled": true}
+ *   PUT /collectors/:key/level    - {"level": "debug"}, or {"level": null} to remove the rule. Key can be a pattern.
+ *   PUT /collectors/:key/tracing  - {"enabled": true}, or {"enabled": null} to follow logger setting
+ *   POST /flight-recorder/dump    - write out messages kept by the flight recorder. Responds with {"dumped": 12}.
+ *
+ * PUT routes respond with the updated state.
+ * @param {MayanLogger} logger
+ * @param {MayanLoggerAdminOptions} [options]
+ */
+function makeAdminHandler(logger, options) {
+  options = new MayanLoggerAdminOptions(options);
+
+  const routes = makeRoutes(logger, options);
+
+  /**
+   * Resolve request into response, or null if request isn't meant for us
+   * @param {IncomingMessage} req
+   * @param {function(): Promise<*>} getBody
+   * @return {Promise<{status: number, type: string, body: string}|null>}
+   */
+  const respond = async (req, getBody) => {
+    const url = new URL(req.url, 'http://localhost');
+    let path = url.pathname;
+    if (options.prefix) {
+      if (path !== options.prefix && !path.startsWith(options.prefix + '/')) {
+        return null;
+      }
+      path = path.slice(options.prefix.length);
+    }
+    path = path.replace(/\/+$/, '') || '/';
+
+    let match = null;
+    let params = null;
+    for (const route of routes) {
+      params = route.pattern.exec(path);
+      if (params) {
+        match = route;
+        break;
+      }
+    }
+    if (!match) {
+      return null;
+    }
+
+    try {
+      if (options.auth && !(await options.auth(req))) {
+        throw new MayanLoggerError(`Unauthorized`, 401);
+      }
+
+      const handler = match.methods[req.method];
+      if (!handler) {
+        throw new MayanLoggerError(`Method ${req.method} is not allowed`, 405);
+      }
+
+      const body = req.method === 'GET' ? undefined : await getBody();
+      return await handler(body, params.slice(1).map(decodePathParam));
+    } catch (err) {
+      const status = err && err.code >= 400 && err.code < 500 ? err.code : 500;
+      return jsonResponse(status, {
+        error: status === 500 ? 'Internal server error' : err.message,
+      });
+    }
+  };
+
+  /**
+   * Handler for node's http server and Express. If request doesn't match any route, next() is called, or 404
+   * is returned if there is no next.
+   * @param {IncomingMessage} req
+   * @param {ServerResponse} res
+   * @param {function} [next]
+   */
+  const handler = (req, res, next) => {
+    const getBody = () =>
+      req.body !== undefined ? Promise.resolve(req.body) : readJSONBody(req, options.max_body_size);
+
+    respond(req, getBody).then(
+      response => {
+        if (!response) {
+          if (next) {
+            return next();
+          }
+          response = jsonResponse(404, { error: 'Not found' });
+        }
+        res.statusCode = response.status;
+        res.setHeader('Content-Type', response.type);
+        res.setHeader('Cache-Control', 'no-store');
+        res.end(response.body);
+      },
+      err => (next ? next(err) : res.destroy(err))
+    );
+  };
+
+  /**
+   * Koa middleware
+   */
+  handler.koa = async (ctx, next) => {
+    const getBody = () =>
+      ctx.request.body !== undefined
+        ? Promise.resolve(ctx.request.body)
+        : readJSONBody(ctx.req, options.max_body_size);
+
+    const response = await respond(ctx.req, getBody);
+    if (!response) {
+      return next();
+    }
+    ctx.status = response.status;
+    ctx.type = response.type;
+    ctx.set('Cache-Control', 'no-store');
+    ctx.body = response.body;
+  };
+
+  return handler;
+}
+
+function makeRoutes(logger, options) {
+  const stateResponse = () => jsonResponse(200, logger.getState());
+
+  const routes = [
+    {
+      pattern: /^\/state$/,
+      methods: {
+        GET: stateResponse,
+      },
+    },
+    {
+      pattern: /^\/level$/,
+      methods: {
+        PUT: body => {
+          logger.setLevel(getBodyValue(body, 'level', 'string'));
+          return stateResponse();
+        },
+      },
+    },
+    {
+      pattern: /^\/enabled$/,
+      methods: {
+        PUT: body => {
+          logger.setEnabled(getBodyValue(body, 'enabled', 'boolean'));
+          return stateResponse();
+        },
+      },
+    },
+    {
+      pattern: /^\/tracing$/,
+      methods: {
+        PUT: body => {
+          logger.setTracingEnabled(getBodyValue(body, 'enabled', 'boolean'));
+          return stateResponse();
+        },
+      },
+    },
+    {
+      pattern: /^\/collectors\/([^/]*)\/level$/,
+      methods: {
+        PUT: (body, [key]) => {
+          const level = getBodyValue(body, 'level', 'string', true);
+          logger.setCollectorLevel(key, level === null ? undefined : level);
+          return stateResponse();
+        },
+      },
+    },
+    {
+      pattern: /^\/collectors\/([^/]*)\/tracing$/,
+      methods: {
+        PUT: (body, [key]) => {
+          logger.setCollectorTracing(key, getBodyValue(body, 'enabled', 'boolean', true));
+          return stateResponse();
+        },
+      },
+    },
+    {
+      pattern: /^\/flight-recorder\/dump$/,
+      methods: {
+        POST: () => jsonResponse(200, { dumped: logger.dumpFlightRecorder() }),
+      },
+    },
+  ];
+
+  if (options.html) {
+    routes.push({
+      pattern: /^\/$/,
+      methods: {
+        GET: () => ({
+          status: 200,
+          type: 'text/html; charset=utf-8',
+          body: ADMIN_PAGE_HTML,
+        }),
+      },
+    });
+  }
+
+  return routes;
+}
+
+/**
+ * Decode a URL-encoded path parameter (eg. collector key)
+ * @param {string} param
+ * @return {string}
+ */
+function decodePathParam(param) {
+  try {
+    return decodeURIComponent(param);
+  } catch (err) {
+    throw new MayanLoggerError(`Invalid URL encoding in path: ${param}`, 400);
+  }
+}
+
+/**
+ * Get a validated value from request body
+ * @param {Object} body
+ * @param {string} key
+ * @param {string} type
+ * @param {boolean} [nullable]
+ */
+function getBodyValue(body, key, type, nullable = false) {
+  if (!body || typeof body !== 'object' || !(key in body)) {
+    throw new MayanLoggerError(`Request body must be a JSON object with "${key}"`, 400);
+  }
+  const value = body[key];
+  if (value === null && nullable) {
+    return null;
+  }
+  if (typeof value !== type) {
+    throw new MayanLoggerError(
+      `"${key}" must be a ${type}${nullable ? ' or null' : ''}, got: ${JSON.stringify(value)}`,
+      400
+    );
+  }
+  return value;
+}
+
+function jsonResponse(status, payload) {
+  return {
+    status,
+    type: 'application/json; charset=utf-8',
+    body: JSON.stringify(payload),
+  };
+}
+
+/**
+ * Read and parse JSON request body
+ * @param {IncomingMessage} req
+ * @param {number} maxSize
+ * @return {Promise<*>}
+ */
+function readJSONBody(req, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    const fail = err => {
+      if (!failed) {
+        failed = true;
+        req.resume();
+        reject(err);
+      }
+    };
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxSize) {
+        return fail(new MayanLoggerError(`Request body is too large`, 413));
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', fail);
+    req.on('end', () => {
+      if (failed) {
+        return;
+      }
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        return resolve(undefined);
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (err) {
+        fail(new MayanLoggerError(`Request body is not valid JSON`, 400));
+      }
+    });
+  });
+}
+
+const ADMIN_PAGE_HTML = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Logger</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; }
+  td, th { padding: 4px 12px; border-bottom: 1px solid #ddd; text-align: left; }
+  #error { color: #b00; }
+</style>
+</head>
+<body>
+<h1>Logger</h1>
+<p id="error"></p>
+<p>
+  <label><input type="checkbox" id="enabled"> Enabled</label>
+  <label><input type="checkbox" id="tracing"> Tracing</label>
+  <label>Level <span id="level"></span></label>
+</p>
+<table>
+  <thead><tr><th>Collector</th><th>Level</th><th>Tracing</th></tr></thead>
+  <tbody id="collectors"></tbody>
+</table>
+<script>
+  var LEVELS = ${JSON.stringify(Object.keys(LOG_LEVELS))};
+  var base = location.pathname.replace(/\\/?$/, '/');
+
+  function request(method, path, body) {
+    return fetch(base + path, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }).then(function (res) {
+      return res.json().then(function (data) {
+        if (!res.ok) {
+          throw new Error(data.error || res.statusText);
+        }
+        return data;
+      });
+    }).then(render, function (err) {
+      document.getElementById('error').textContent = err.message;
+    });
+  }
+
+  function makeSelect(options, value, onChange) {
+    var select = document.createElement('select');
+    options.forEach(function (option) {
+      var el = document.createElement('option');
+      el.value = option.value;
+      el.textContent = option.label;
+      el.selected = option.value === value;
+      select.appendChild(el);
+    });
+    select.onchange = function () { onChange(select.value); };
+    return select;
+  }
+
+  function render(state) {
+    document.getElementById('error').textContent = '';
+    document.getElementById('enabled').checked = state.enabled;
+    document.getElementById('tracing').checked = state.tracing_enabled;
+
+    var level = document.getElementById('level');
+    level.innerHTML = '';
+    level.appendChild(makeSelect(LEVELS.map(function (l) { return { value: l, label: l }; }), state.level, function (value) {
+      request('PUT', 'level', { level: value });
+    }));
+
+    var tbody = document.getElementById('collectors');
+    tbody.innerHTML = '';
+    state.collectors.forEach(function (collector) {
+      var row = document.createElement('tr');
+      var key = encodeURIComponent(collector.key);
+      var name = document.createElement('td');
+      name.textContent = collector.tags.length ? collector.tags.join(' > ') : '(default)';
+
+      var levelCell = document.createElement('td');
+      var levelOptions = [{ value: '', label: '(logger: ' + state.level + ')' }].concat(
+        LEVELS.map(function (l) { return { value: l, label: l }; })
+      );
+      var inherited = collector.level_rule && collector.level_rule !== collector.key;
+      levelOptions[0].label = inherited
+        ? '(' + collector.level_rule + ': ' + collector.effective_level + ')'
+        : levelOptions[0].label;
+      levelCell.appendChild(makeSelect(levelOptions, inherited ? '' : collector.level || '', function (value) {
+        request('PUT', 'collectors/' + key + '/level', { level: value || null });
+      }));
+
+      var tracingCell = document.createElement('td');
+      var tracingValue = collector.tracing === undefined || collector.tracing === null ? '' : String(collector.tracing);
+      tracingCell.appendChild(makeSelect([
+        { value: '', label: '(logger)' }, { value: 'true', label: 'on' }, { value: 'false', label: 'off' }
+      ], tracingValue, function (value) {
+        request('PUT', 'collectors/' + key + '/tracing', { enabled: value === '' ? null : value === 'true' });
+      }));
+
+      row.appendChild(name);
+      row.appendChild(levelCell);
+      row.appendChild(tracingCell);
+      tbody.appendChild(row);
+    });
+  }
+
+  document.getElementById('enabled').onchange = function (e) {
+    request('PUT', 'enabled', { enabled: e.target.checked });
+  };
+  document.getElementById('tracing').onchange = function (e) {
+    request('PUT', 'tracing', { enabled: e.target.checked });
+  };
+  request('GET', 'state');
+</script>
+</body>
+</html>
+`;
+
+module.exports = {
+  makeAdminHandler,
+};
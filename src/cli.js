@@ -0,0 +1,312 @@
+'use strict';
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const { MayanLoggerOptionsError } = require('./types');
+const {
+  MayanLoggerPrettyOptions,
+  parseTime,
+  parseDuration,
+  parseJSONLogPayload,
+  payloadToMessage,
+  makeMessageFilter,
+  makeLinePrettifier,
+  readLines,
+} = require('./pretty');
+const { compileQuery, LogCounter } = require('./query');
+const { FileFollower } = require('./follow');
+
+const COMMANDS = {
+  pretty: 'pretty',
+  query: 'query',
+  follow: 'follow',
+};
+
+const USAGE = `Usage:
+  mayan-logger [pretty] [options] [files...]
+  mayan-logger query [options] [files...]
+  mayan-logger follow [options] <files...>
+
+pretty  Print JSON log lines in terminal format. Other lines are printed out unchanged. This is the default.
+query   Print only JSON log messages matching the filters, or count them
+follow  Same as "query --follow"
+
+Files ending with .gz are decompressed. If no files are given, stdin is used.
+
+Options:
+  -l, --level <level>      Only show messages at this level or more severe
+  -t, --tag <tag>          Only show messages with this tag. Can be given multiple times.
+  --since <time>           Only show messages logged at or after this time
+  --until <time>           Only show messages logged at or before this time
+  -g, --grep <regex>       Only show messages matching this regex (case insensitive)
+  -w, --where <query>      Only show messages matching query expression (see below)
+  -c, --count-by <what>    Instead of printing, count messages by "level", "tag", "error" or any field
+  -b, --bucket <duration>  Count in time buckets of this size (eg. 5m, 1h)
+  -f, --follow             Keep reading files as they grow, across rotations
+  --from-start             When following, print the existing content first
+  --json                   Print original JSON lines instead of terminal format
+  --no-color               Don't use colors
+  --no-indent              Don't indent multiline messages
+  -h, --help               Show this help
+
+Time can be a date (eg. 2020-08-22T21:34:42Z) or a duration before now (eg. 30s, 15m, 2h, 1d).
+
+Query expressions compare fields of JSON messages, using =, !=, >, >=, <, <=, ~ (regex) and has (array or
+substring), combined with and, or, not and parentheses. Levels are compared by severity.
+  level>=warn and tags has "Db" and data.userId=42`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv Arguments, without node and script path
+ */
+function parseArgs(argv) {
+  const result = {
+    command: COMMANDS.pretty,
+    help: false,
+    files: [],
+    count_by: undefined,
+    bucket_ms: undefined,
+    follow: false,
+    from_start: false,
+    /** @type {MayanLoggerPrettyOptions} */
+    options: {
+      tags: [],
+    },
+  };
+
+  const args = argv.slice();
+  if (COMMANDS[args[0]]) {
+    result.command = args.shift();
+  }
+
+  const takeValue = name => {
+    if (!args.length) {
+      throw new MayanLoggerOptionsError(`Missing value for ${name}`);
+    }
+    return args.shift();
+  };
+
+  while (args.length) {
+    let arg = args.shift();
+
+    // Support --name=value syntax
+    const eqIndex = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    if (eqIndex > 0) {
+      args.unshift(arg.slice(eqIndex + 1));
+      arg = arg.slice(0, eqIndex);
+    }
+
+    switch (arg) {
+      case '-h':
+      case '--help':
+        result.help = true;
+        break;
+      case '-l':
+      case '--level':
+        result.options.level = takeValue(arg);
+        break;
+      case '-t':
+      case '--tag':
+        result.options.tags.push(takeValue(arg));
+        break;
+      case '--since':
+        result.options.since = parseTime(takeValue(arg));
+        break;
+      case '--until':
+        result.options.until = parseTime(takeValue(arg));
+        break;
+      case '-g':
+      case '--grep': {
+        const pattern = takeValue(arg);
+        try {
+          result.options.grep = new RegExp(pattern, 'i');
+        } catch (err) {
+          throw new MayanLoggerOptionsError(`Invalid regex "${pattern}": ${err.message}`);
+        }
+        break;
+      }
+      case '-w':
+      case '--where':
+        result.options.where = compileQuery(takeValue(arg));
+        break;
+      case '-c':
+      case '--count-by':
+        result.count_by = takeValue(arg);
+        break;
+      case '-b':
+      case '--bucket': {
+        const bucket = takeValue(arg);
+        result.bucket_ms = parseDuration(bucket);
+        if (!result.bucket_ms) {
+          throw new MayanLoggerOptionsError(
+            `Invalid bucket "${bucket}". Use a duration, like 30s, 15m, 2h or 1d`
+          );
+        }
+        break;
+      }
+      case '-f':
+      case '--follow':
+        result.follow = true;
+        break;
+      case '--from-start':
+        result.from_start = true;
+        break;
+      case '--json':
+        result.options.json = true;
+        break;
+      case '--no-color':
+        result.options.colors = false;
+        break;
+      case '--no-indent':
+        result.options.indent_multiline = false;
+        break;
+      case '--':
+        result.files.push(...args.splice(0));
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') {
+          throw new MayanLoggerOptionsError(`Unknown option: ${arg}`);
+        }
+        result.files.push(arg);
+    }
+  }
+
+  if (result.command === COMMANDS.follow) {
+    result.follow = true;
+  }
+  if (result.command !== COMMANDS.pretty) {
+    // Query is about log messages, anything else is noise
+    result.options.passthrough = false;
+  }
+  if (result.follow && result.count_by) {
+    throw new MayanLoggerOptionsError(`Can't count messages while following`);
+  }
+  if (result.bucket_ms && !result.count_by) {
+    throw new MayanLoggerOptionsError(`--bucket can only be used together with --count-by`);
+  }
+  if (result.follow && (!result.files.length || result.files.includes('-'))) {
+    throw new MayanLoggerOptionsError(`Following requires files`);
+  }
+
+  result.options = new MayanLoggerPrettyOptions(result.options);
+  return result;
+}
+
+/**
+ * Open file for reading, decompressing it if needed. "-" stands for stdin.
+ * @return {ReadableStream}
+ */
+function openInput(source, stdin) {
+  if (source === '-') {
+    return stdin;
+  }
+
+  const fileStream = fs.createReadStream(source);
+  if (!source.endsWith('.gz')) {
+    return fileStream;
+  }
+
+  const gunzip = zlib.createGunzip();
+  fileStream.on('error', err => gunzip.destroy(err));
+  return fileStream.pipe(gunzip);
+}
+
+/**
+ * Call onLine for each line of each of the sources. Resolves with exit code.
+ */
+async function readSources(sources, io, onLine) {
+  let exitCode = 0;
+  for (const source of sources) {
+    try {
+      await readLines(openInput(source, io.stdin), onLine);
+    } catch (err) {
+      io.stderr.write(`Failed to read ${source}: ${err.message}\n`);
+      exitCode = 1;
+    }
+  }
+  return exitCode;
+}
+
+/**
+ * Resolves once user interrupts the process
+ */
+function waitForInterrupt() {
+  return new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+}
+
+/**
+ * Run CLI with given arguments. Resolves with exit code.
+ * @param {string[]} argv Arguments, without node and script path
+ * @param {{stdin: ReadableStream, stdout: WritableStream, stderr: WritableStream}} io
+ * @return {Promise<number>}
+ */
+async function main(argv, io = process) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    if (!(err instanceof MayanLoggerOptionsError)) {
+      throw err;
+    }
+    io.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (parsed.help) {
+    io.stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  const sources = parsed.files.length ? parsed.files : ['-'];
+
+  if (parsed.count_by) {
+    const counter = new LogCounter(parsed.count_by, parsed.bucket_ms);
+    const filter = makeMessageFilter(parsed.options);
+    const exitCode = await readSources(sources, io, line => {
+      const payload = parseJSONLogPayload(line);
+      if (payload && filter(payloadToMessage(payload), line, payload)) {
+        counter.add(payload);
+      }
+    });
+
+    if (parsed.options.json) {
+      for (const row of counter.getRows()) {
+        io.stdout.write(JSON.stringify(row) + '\n');
+      }
+    } else if (counter.counts.size) {
+      io.stdout.write(counter.formatTable() + '\n');
+    }
+    return exitCode;
+  }
+
+  const prettify = makeLinePrettifier(parsed.options);
+  const onLine = line => {
+    const result = prettify(line);
+    if (result !== null) {
+      io.stdout.write(result + '\n');
+    }
+  };
+
+  if (parsed.follow) {
+    const followers = sources.map(
+      source => new FileFollower(source, onLine, { from_start: parsed.from_start })
+    );
+    followers.forEach(follower => follower.start());
+    await waitForInterrupt();
+    followers.forEach(follower => follower.stop());
+    return 0;
+  }
+
+  return readSources(sources, io, onLine);
+}
+
+module.exports = {
+  COMMANDS,
+  USAGE,
+  parseArgs,
+  main,
+};
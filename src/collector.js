@@ -79,12 +79,15 @@ function MayanLogCollector(state, logger) {
   this.trace = makeLogMethod(LOG_LEVELS.trace);
 
   /**
-   * Add tracing wrapper around all function properties on an object
+   * Add tracing wrapper around all methods on an object, including the ones inherited from its class
    * NOTE: This will mutate the object!
-   * @param {Object} target
+   * @template T
+   * @param {T} target
+   * @param {{accessors: boolean, statics: boolean}} [options] Overrides for the logger's tracing options
+   * @return T
    */
-  this.addTracing = target => {
-    return logger._addTracing(this.state, target, _untracedMethods);
+  this.addTracing = (target, options) => {
+    return logger._addTracing(this.state, target, _untracedMethods, options);
   };
 
   /**
@@ -99,6 +102,17 @@ function MayanLogCollector(state, logger) {
     return logger._log(LOG_LEVELS.error, this.state, err);
   };
 
+  /**
+   * Create a lightweight child collector, which will add given fields to every logged message.
+   * Child shares level with this collector, and is not registered with the logger, so it is safe to create
+   * one per request.
+   * @param {Object} fields
+   * @return {MayanLogCollector}
+   */
+  this.child = fields => {
+    return new MayanLogCollector(this.state.withFields(fields), logger);
+  };
+
   /**
    * Mark given method as untraced, meaning this logger will not wrap it for tracing support
    * @template T
@@ -0,0 +1,77 @@
+'use strict';
+
+const fs = require('fs');
+const libPath = require('path');
+
+const { MayanLoggerOptionsError } = require('./types');
+
+/**
+ * Read logger options from a JSON or YAML file. YAML files (.yml or .yaml) require "yaml" or "js-yaml"
+ * package to be installed.
+ * @param {string} path
+ * @return {Object}
+ */
+function readConfigFile(path) {
+  const fullPath = libPath.resolve(path);
+
+  let config;
+  try {
+    const text = fs.readFileSync(fullPath, 'utf8');
+    config = /\.ya?ml$/i.test(fullPath) ? parseYAML(text) : JSON.parse(text);
+  } catch (err) {
+    throw new MayanLoggerOptionsError(
+      `Failed to load logger config from ${fullPath}: ${err.message}`
+    );
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new MayanLoggerOptionsError(`Logger config in ${fullPath} must be an object`);
+  }
+  return config;
+}
+
+function parseYAML(text) {
+  // YAML support is optional, so we don't force the dependency on everyone
+  for (const name of ['yaml', 'js-yaml']) {
+    let lib;
+    try {
+      lib = require(name);
+    } catch (err) {
+      continue;
+    }
+    return name === 'yaml' ? lib.parse(text) : lib.load(text);
+  }
+  throw new MayanLoggerOptionsError(`Reading YAML requires "yaml" or "js-yaml" package`);
+}
+
+/**
+ * Call onChange whenever file at path is modified. We poll, so this works with editors which replace the file
+ * instead of writing into it. Watching doesn't keep the process alive.
+ * @param {string} path
+ * @param {number} interval Polling interval in ms
+ * @param {function()} onChange
+ * @return {function()} Call to stop watching
+ */
+function watchConfigFile(path, interval, onChange) {
+  const listener = (current, previous) => {
+    if (!current.mtimeMs) {
+      // File is missing, probably in the middle of being replaced. Keep what we have.
+      return;
+    }
+    if (
+      current.mtimeMs !== previous.mtimeMs ||
+      current.size !== previous.size ||
+      current.ino !== previous.ino
+    ) {
+      onChange();
+    }
+  };
+
+  fs.watchFile(path, { interval, persistent: false }, listener);
+  return () => fs.unwatchFile(path, listener);
+}
+
+module.exports = {
+  readConfigFile,
+  watchConfigFile,
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+const {
+  LOGGER_ENV_VARS,
+  LOG_LEVELS,
+  LOG_LEVEL_VALUES,
+  LOGGER_OUTPUTS,
+  MayanLoggerOptionsError,
+} = require('./types');
+const { isOutputTemplate } = require('./utils');
+const { readConfigFile } = require('./config');
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Build logger options source out of environment variables (see LOGGER_ENV_VARS). Options from the LOG_CONFIG
+ * file are loaded first, and other variables override them. Invalid values throw MayanLoggerOptionsError.
+ * @param {Object.<string, string>} env
+ * @return {MayanLoggerOptions}
+ */
+function readEnvOptions(env) {
+  const get = name => (env[name] === undefined || env[name] === '' ? undefined : env[name]);
+
+  const configPath = get(LOGGER_ENV_VARS.config);
+  let config = {};
+  if (configPath) {
+    try {
+      config = readConfigFile(configPath);
+    } catch (err) {
+      throw new MayanLoggerOptionsError(`${err.message} (${LOGGER_ENV_VARS.config})`);
+    }
+  }
+  const result = { ...config };
+
+  const level = get(LOGGER_ENV_VARS.level);
+  if (level !== undefined) {
+    result.level = parseLevel(level, LOGGER_ENV_VARS.level);
+  }
+
+  const collectorLevels = get(LOGGER_ENV_VARS.collector_levels);
+  if (collectorLevels !== undefined) {
+    result.collector_levels = {
+      ...config.collector_levels,
+      ...parseCollectorLevels(collectorLevels, LOGGER_ENV_VARS.collector_levels),
+    };
+  }
+
+  const output = get(LOGGER_ENV_VARS.output);
+  if (output !== undefined) {
+    if (!LOGGER_OUTPUTS[output] && !isOutputTemplate(output)) {
+      throw envError(
+        LOGGER_ENV_VARS.output,
+        output,
+        `Must be one of "${Object.keys(LOGGER_OUTPUTS).join('", "')}" or a template string`
+      );
+    }
+    result.output = output;
+  } else if (config.output === undefined) {
+    result.output = env.NODE_ENV === 'production' ? LOGGER_OUTPUTS.json : LOGGER_OUTPUTS.terminal;
+  }
+
+  const timestamp = get(LOGGER_ENV_VARS.timestamp);
+  if (timestamp !== undefined) {
+    result.timestamp = parseBoolean(timestamp, LOGGER_ENV_VARS.timestamp);
+  }
+
+  const tracing = get(LOGGER_ENV_VARS.tracing);
+  if (tracing !== undefined) {
+    // Either on/off, or a level, which also turns tracing on
+    const tracingLevel = tryParseLevel(tracing);
+    result.tracing = {
+      ...config.tracing,
+      ...(tracingLevel
+        ? { enabled: true, level: tracingLevel }
+        : { enabled: parseBoolean(tracing, LOGGER_ENV_VARS.tracing) }),
+    };
+  }
+
+  const redact = get(LOGGER_ENV_VARS.redact);
+  if (redact !== undefined) {
+    result.redact = parseRedactList(redact, LOGGER_ENV_VARS.redact);
+  }
+
+  const colors = parseColors(env);
+  if (colors !== undefined) {
+    result.colors = colors;
+  }
+
+  return result;
+}
+
+/**
+ * Parse level name (case insensitive) or number (0 for error ... 5 for trace, -1 for silent)
+ * @param {string} value
+ * @return {string|undefined}
+ */
+function tryParseLevel(value) {
+  const name = value.trim().toLowerCase();
+  if (LOG_LEVELS[name]) {
+    return name;
+  }
+  return Object.keys(LOG_LEVEL_VALUES).find(key => String(LOG_LEVEL_VALUES[key]) === name);
+}
+
+function parseLevel(value, name) {
+  const level = tryParseLevel(value);
+  if (!level) {
+    throw envError(name, value, `Must be one of "${Object.keys(LOG_LEVELS).join('", "')}"`);
+  }
+  return level;
+}
+
+function parseBoolean(value, name) {
+  const lower = value.trim().toLowerCase();
+  if (TRUE_VALUES.includes(lower)) {
+    return true;
+  }
+  if (FALSE_VALUES.includes(lower)) {
+    return false;
+  }
+  throw envError(name, value, `Must be one of "${TRUE_VALUES.concat(FALSE_VALUES).join('", "')}"`);
+}
+
+/**
+ * Parse DEBUG-style collector spec, eg. "UserManager=debug,Db*=trace,-Noisy". Entries without a level are set to
+ * debug, and entries starting with "-" are silenced.
+ * @param {string} value
+ * @param {string} name
+ * @return {Object.<string, string>}
+ */
+function parseCollectorLevels(value, name) {
+  const result = {};
+  for (const entry of value.split(/[\s,]+/).filter(Boolean)) {
+    const eqIndex = entry.indexOf('=');
+    let key = eqIndex >= 0 ? entry.slice(0, eqIndex) : entry;
+    let level = LOG_LEVELS.debug;
+    if (eqIndex >= 0) {
+      level = tryParseLevel(entry.slice(eqIndex + 1));
+      if (!level) {
+        throw envError(name, value, `Invalid level in "${entry}"`);
+      }
+    } else if (key.startsWith('-')) {
+      key = key.slice(1);
+      level = LOG_LEVELS.silent;
+    }
+    if (!key) {
+      throw envError(name, value, `Missing collector key in "${entry}"`);
+    }
+    result[key] = level;
+  }
+  return result;
+}
+
+/**
+ * Parse comma separated list of keys and paths. Entries like /pattern/flags become value regexes.
+ * @param {string} value
+ * @param {string} name
+ * @return {Array<string|RegExp>}
+ */
+function parseRedactList(value, name) {
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const match = /^\/(.+)\/([a-z]*)$/.exec(item);
+      if (!match) {
+        return item;
+      }
+      try {
+        return new RegExp(match[1], match[2]);
+      } catch (err) {
+        throw envError(name, value, `Invalid regex ${item}: ${err.message}`);
+      }
+    });
+}
+
+/**
+ * Follows the usual conventions: non-empty NO_COLOR turns colors off, FORCE_COLOR turns them on (unless it is
+ * "0" or "false"). Returns undefined if colors should be auto-detected.
+ * @return {boolean|undefined}
+ */
+function parseColors(env) {
+  if (env.NO_COLOR) {
+    return false;
+  }
+  if (env.FORCE_COLOR !== undefined) {
+    return !FALSE_VALUES.includes(env.FORCE_COLOR.trim().toLowerCase());
+  }
+  return undefined;
+}
+
+function envError(name, value, problem) {
+  return new MayanLoggerOptionsError(`Invalid ${name} environment variable "${value}". ${problem}`);
+}
+
+module.exports = {
+  readEnvOptions,
+};
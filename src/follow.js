@@ -0,0 +1,146 @@
+'use strict';
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Follows a file, like "tail -f". Survives rotation: when the file is renamed away and a new one is created
+ * in its place (or the file is truncated), the rest of the old file is read out, and following continues from
+ * the beginning of the new file.
+ */
+class FileFollower {
+  /**
+   * @param {string} path
+   * @param {function(string)} onLine Called with each complete line
+   * @param {object} [options]
+   * @param {number} [options.interval] How often to check for new data, in ms
+   * @param {boolean} [options.from_start] Read the existing content first. Otherwise, only new lines are reported.
+   */
+  constructor(path, onLine, options = {}) {
+    this.path = path;
+    this.onLine = onLine;
+    this.interval = options.interval || 250;
+    this.fromStart = !!options.from_start;
+
+    this._fd = null;
+    this._ino = null;
+    this._position = 0;
+    this._decoder = null;
+    this._partial = '';
+    this._timeout = null;
+    this._stopped = false;
+  }
+
+  start() {
+    this._stopped = false;
+    this._check(!this.fromStart);
+    this._schedule();
+  }
+
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._timeout);
+    this._timeout = null;
+    this._closeFile(false);
+  }
+
+  _schedule() {
+    if (!this._stopped) {
+      this._timeout = setTimeout(() => {
+        this._check(false);
+        this._schedule();
+      }, this.interval);
+    }
+  }
+
+  /**
+   * Read whatever is new, and switch to the new file if the old one was rotated or truncated
+   * @param {boolean} skipExisting Start from the end of the file, if we are opening it now
+   */
+  _check(skipExisting) {
+    this._readAvailable();
+
+    let stat;
+    try {
+      stat = fs.statSync(this.path);
+    } catch (err) {
+      // File could be missing for a moment while being rotated, or it wasn't created yet
+      return;
+    }
+
+    const rotated = this._fd !== null && stat.ino !== this._ino;
+    const truncated = this._fd !== null && !rotated && stat.size < this._position;
+    if (this._fd === null || rotated || truncated) {
+      this._closeFile(true);
+      this._openFile(stat, skipExisting);
+      this._readAvailable();
+    }
+  }
+
+  _openFile(stat, skipExisting) {
+    try {
+      this._fd = fs.openSync(this.path, 'r');
+    } catch (err) {
+      return;
+    }
+    this._ino = stat.ino;
+    this._position = skipExisting ? stat.size : 0;
+    this._decoder = new StringDecoder('utf8');
+  }
+
+  /**
+   * @param {boolean} flushPartial Report the last line, even though it doesn't end with a line break
+   */
+  _closeFile(flushPartial) {
+    if (this._fd === null) {
+      return;
+    }
+
+    const rest = this._partial + this._decoder.end();
+    this._partial = '';
+    if (rest && flushPartial) {
+      this.onLine(rest);
+    }
+
+    try {
+      fs.closeSync(this._fd);
+    } catch (err) {
+      // Nothing we can do
+    }
+    this._fd = null;
+  }
+
+  _readAvailable() {
+    if (this._fd === null) {
+      return;
+    }
+
+    const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+    for (;;) {
+      let bytesRead;
+      try {
+        bytesRead = fs.readSync(this._fd, buffer, 0, buffer.length, this._position);
+      } catch (err) {
+        return;
+      }
+      if (!bytesRead) {
+        return;
+      }
+      this._position += bytesRead;
+
+      const lines = (this._partial + this._decoder.write(buffer.slice(0, bytesRead))).split(
+        /\r?\n/
+      );
+      this._partial = lines.pop();
+      for (const line of lines) {
+        this.onLine(line);
+      }
+    }
+  }
+}
+
+module.exports = {
+  FileFollower,
+};
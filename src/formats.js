@@ -1,23 +1,41 @@
 'use strict';
 
-const { assertSubset } = require('./utils');
+const libUtil = require('util');
+
+const {
+  assertSubset,
+  isFunction,
+  inspectCompact,
+  safeToString,
+  isOutputTemplate,
+} = require('./utils');
+const { safeStringify, Serializer } = require('./serialize');
 const {
   LOG_LEVELS,
   LOGGER_OUTPUTS,
   MayanLoggerOptionsError,
+  MayanLoggerJSONOptions,
+  MayanLoggerTerminalDataOptions,
   DEFAULT_TERMINAL_COLORS,
 } = require('./types');
 
+const DEFAULT_JSON_OPTIONS = new MayanLoggerJSONOptions();
+const DEFAULT_TERMINAL_DATA_OPTIONS = new MayanLoggerTerminalDataOptions();
+
 // *********************************************************************************************************************
 
+// Shown in terminal output for messages written out by the flight recorder
+const BACKFILLED_MARKER = '(backfilled)';
+
 // Pad all level strings by this much, so things will align
 const levelPadding = Object.keys(LOG_LEVELS).reduce((max, level) => Math.max(max, level.length), 0);
 
 class TerminalPainter {
   /**
    * @param {MayanLoggerTerminalColorOptions} terminalColors
+   * @param {boolean} [colors] Force colors on or off. If not given, we follow colorette's detection.
    */
-  constructor(terminalColors) {
+  constructor(terminalColors, colors) {
     // Only needs this if we are formatting for terminal
     const colorette = require('colorette');
 
@@ -34,16 +52,27 @@ class TerminalPainter {
     this.timestamp = makeColorFn('timestamp');
     this.tags = makeColorFn('tags');
     this.message = makeColorFn('message');
+    this.fields = makeColorFn('fields');
+    this.data = makeColorFn('data');
 
     assertSubset(this, DEFAULT_TERMINAL_COLORS);
 
+    /**
+     * Whether data blocks can be syntax highlighted by util.inspect. We don't do that if user wants a specific
+     * color for data, or colors are turned off.
+     * @type {boolean}
+     */
+    this.inspectColors =
+      !terminalColors.data &&
+      (colors !== undefined ? colors : !colorette.options || colorette.options.enabled);
+
     /**
      * @param name
      * @return {function(string): string}
      */
     function makeColorFn(name) {
       let spec = terminalColors[name];
-      if (!spec) {
+      if (!spec || colors === false) {
         // Don't use any formatting
         return str => str;
       }
@@ -70,12 +99,27 @@ class TerminalPainter {
       });
       const fnCount = fns.length;
 
-      return str => {
+      const paint = str => {
         for (let i = fnCount - 1; i >= 0; i--) {
           str = fns[i](str);
         }
         return str;
       };
+
+      if (!colors || !colorette.options) {
+        return paint;
+      }
+
+      // Colorette only has a global switch, so we flip it just for the duration of the call
+      return str => {
+        const wasEnabled = colorette.options.enabled;
+        colorette.options.enabled = true;
+        try {
+          return paint(str);
+        } finally {
+          colorette.options.enabled = wasEnabled;
+        }
+      };
     }
   }
 }
@@ -85,8 +129,14 @@ class TerminalPainter {
  * @param {boolean} indentMultiline
  * @param {TerminalPainter} painter
  * @param {MayanLoggerMessage} msg
+ * @param {MayanLoggerTerminalDataOptions} [dataOptions]
  */
-function formatForTerminal(indentMultiline, painter, msg) {
+function formatForTerminal(
+  indentMultiline,
+  painter,
+  msg,
+  dataOptions = DEFAULT_TERMINAL_DATA_OPTIONS
+) {
   let prefixLength = 0;
   const parts = [];
   if (msg.timestamp) {
@@ -104,102 +154,720 @@ function formatForTerminal(indentMultiline, painter, msg) {
     parts.push(painter.tags(msg.collector.tagString));
   }
 
+  if (msg.backfilled) {
+    prefixLength += BACKFILLED_MARKER.length;
+    parts.push(painter.timestamp(BACKFILLED_MARKER));
+  }
+
+  let message = composeMessageForTerminal(msg);
+
+  // For each part we will add one ' ' delimiter.
+  const indent = indentMultiline ? ' '.repeat(prefixLength + parts.length) : '';
+  if (indentMultiline) {
+    message = message.replace(/(\r\n|\n\r|\r|\n)/gm, '$1' + indent);
+  }
+
+  // Short data and bound fields go at the end of the first line, longer data in blocks below the message
+  const { inline, blocks } = renderDataForTerminal(msg, painter, dataOptions, indent);
+  const inlineParts = inline.map(str => painter.data(str));
+  if (msg.fields) {
+    inlineParts.push(painter.fields(formatFieldsForTerminal(msg.fields)));
+  }
+
+  let output;
+  if (inlineParts.length) {
+    const newlineIndex = message.search(/\r|\n/);
+    const firstLine = newlineIndex < 0 ? message : message.slice(0, newlineIndex);
+    const otherLines = newlineIndex < 0 ? '' : message.slice(newlineIndex);
+    output =
+      (firstLine ? painter.message(firstLine) + ' ' : '') +
+      inlineParts.join(' ') +
+      (otherLines ? painter.message(otherLines) : '');
+  } else {
+    output = painter.message(message);
+  }
+
+  for (const block of blocks) {
+    output += '\n' + block;
+  }
+
+  parts.push(output);
+
+  return parts.join(' ');
+}
+
+/**
+ * Produce the message text, extended with error info, if there is an error
+ * @param {MayanLoggerMessage} msg
+ * @return {string}
+ */
+function composeMessageForTerminal(msg) {
   let message = msg.message;
 
   if (msg.error) {
-    // Show more error info if we are not dealing with a "webby" client error
-    const extendedDisplay = !(msg.error.code >= 400 && msg.error.code < 500);
-
-    // From mayan/base CustomError
-    let details = msg.error.errorDetails || '';
-    if (details) {
-      details =
-        '\n' +
-        details
-          .split(/(\r\n|\n\r|\r|\n)/gm)
-          .map(line => '|> ' + line)
-          .join('\n');
-    }
+    const related = formatRelatedErrorsForTerminal(msg.error, new Set([msg.error]), '');
 
     if (!message) {
       // Replace empty message with error
-      message =
-        ((extendedDisplay && msg.error.stack) || msg.error.message || msg.error || '') + details;
+      message = describeErrorForTerminal(msg.error) + related;
     } else {
-      // Extend given message
-      if (extendedDisplay && msg.error.stack) {
+      // Extend given message, which might not be a string (eg. log.error({ id: 1 }, err))
+      message = safeToString(message);
+      const details = formatErrorDetailsForTerminal(msg.error);
+      if (isExtendedErrorDisplay(msg.error) && msg.error.stack) {
         // Print the stack beneath
         message += details + '\n' + msg.error.stack;
-      } else if (msg.error.message && !msg.message.includes(msg.error.message)) {
+      } else if (msg.error.message && !message.includes(safeToString(msg.error.message))) {
         // Attach error message if we don't already have it
         message += ': ' + msg.error.message + details;
       }
+      message += related;
     }
   } else {
     // Make sure we are printing strings, just in case
-    message = String(message);
+    message = safeToString(message);
   }
 
-  if (indentMultiline) {
-    // For each part we will add one ' ' delimiter.
-    const indent = ' '.repeat(prefixLength + parts.length);
-    message = message.replace(/(\r\n|\n\r|\r|\n)/gm, '$1' + indent);
+  return message;
+}
+
+/**
+ * Render data arguments for terminal. Short values are returned as inline parts (not painted), to be shown next to
+ * the message. Longer values and errors are returned as painted blocks, each indented by given indent + 2 spaces.
+ * @param {MayanLoggerMessage} msg
+ * @param {TerminalPainter} painter
+ * @param {MayanLoggerTerminalDataOptions} dataOptions
+ * @param {string} indent
+ * @return {{inline: string[], blocks: string[]}}
+ */
+function renderDataForTerminal(msg, painter, dataOptions, indent) {
+  const inline = [];
+  const blocks = [];
+  if (!Array.isArray(msg.data) || !dataOptions.enabled) {
+    return { inline, blocks };
   }
 
-  parts.push(painter.message(message));
+  for (const arg of msg.data) {
+    if (arg instanceof Error) {
+      // Errors in data are shown the same way as the main error
+      const errorStr =
+        describeErrorForTerminal(arg) + formatRelatedErrorsForTerminal(arg, new Set([arg]), '');
+      blocks.push(indentBlock(painter.data(errorStr), indent + '  '));
+      continue;
+    }
 
-  return parts.join(' ');
+    const inlineStr = renderInlineDataForTerminal(arg, dataOptions);
+    if (inlineStr !== null) {
+      inline.push(inlineStr);
+    } else {
+      blocks.push(renderDataBlockForTerminal(arg, painter, dataOptions, indent + '  '));
+    }
+  }
+  return { inline, blocks };
+}
+
+/**
+ * Render data argument in a single line, if it is short enough. Otherwise, return null.
+ * @param {*} arg
+ * @param {MayanLoggerTerminalDataOptions} dataOptions
+ * @return {string|null}
+ */
+function renderInlineDataForTerminal(arg, dataOptions) {
+  if (arg === null || typeof arg !== 'object' || arg instanceof Date || arg instanceof RegExp) {
+    // Strings are shown as they are, same as console.log does
+    const str = typeof arg === 'string' ? arg : inspectCompact(arg);
+    return str.length <= dataOptions.inline_length && !/[\r\n]/.test(str) ? str : null;
+  }
+
+  const str = safeInspect(arg, {
+    depth: dataOptions.depth,
+    breakLength: Infinity,
+    compact: true,
+  });
+  return str.length <= dataOptions.inline_length ? str : null;
+}
+
+/**
+ * Render data argument as an indented multiline block
+ * @param {*} arg
+ * @param {TerminalPainter} painter
+ * @param {MayanLoggerTerminalDataOptions} dataOptions
+ * @param {string} indent
+ * @return {string}
+ */
+function renderDataBlockForTerminal(arg, painter, dataOptions, indent) {
+  const inspectOptions = {
+    depth: dataOptions.depth,
+    breakLength: 100,
+  };
+
+  let str = safeInspect(arg, inspectOptions);
+  if (str.length > dataOptions.max_length) {
+    str =
+      str.slice(0, dataOptions.max_length) +
+      `... (${str.length - dataOptions.max_length} more characters)`;
+  } else if (dataOptions.colors && painter.inspectColors) {
+    str = safeInspect(arg, { ...inspectOptions, colors: true });
+  } else {
+    str = painter.data(str);
+  }
+
+  return indentBlock(str, indent);
+}
+
+function indentBlock(str, indent) {
+  return indent + str.replace(/(\r\n|\n\r|\r|\n)/gm, '$1' + indent);
+}
+
+// Don't go deeper than this into nested causes and aggregated errors
+const MAX_ERROR_NESTING = 10;
+
+/**
+ * Show more error info if we are not dealing with a "webby" client error
+ */
+function isExtendedErrorDisplay(error) {
+  return !(error.code >= 400 && error.code < 500);
+}
+
+/**
+ * From mayan/base CustomError
+ */
+function formatErrorDetailsForTerminal(error) {
+  const details = error.errorDetails || '';
+  if (!details) {
+    return '';
+  }
+  return (
+    '\n' +
+    details
+      .split(/(\r\n|\n\r|\r|\n)/gm)
+      .map(line => '|> ' + line)
+      .join('\n')
+  );
+}
+
+/**
+ * Describe a single error (without its causes), using stack, if appropriate
+ * @param {Error|*} error
+ * @return {string}
+ */
+function describeErrorForTerminal(error) {
+  if (!error || typeof error !== 'object') {
+    // Anything can be thrown and given as cause
+    return typeof error === 'string' ? error : inspectCompact(error);
+  }
+
+  return (
+    safeToString(
+      (isExtendedErrorDisplay(error) && error.stack) || error.message || String(error) || ''
+    ) + formatErrorDetailsForTerminal(error)
+  );
+}
+
+/**
+ * Render errors aggregated by the given error (AggregateError) and its cause chain, as indented sections.
+ * Errors which were already shown are not repeated.
+ * @param {Error} error
+ * @param {Set} seen
+ * @param {string} indent
+ * @return {string}
+ */
+function formatRelatedErrorsForTerminal(error, seen, indent) {
+  let result = '';
+  let current = error;
+  let nesting = 0;
+  while (current && typeof current === 'object') {
+    if (nesting++ >= MAX_ERROR_NESTING) {
+      return result + '\n' + indent + '...';
+    }
+
+    const aggregated = readErrorProp(current, 'errors');
+    if (Array.isArray(aggregated)) {
+      const subIndent = indent + '  ';
+      aggregated.forEach((subError, index) => {
+        result += '\n' + indent + `[${index + 1}/${aggregated.length}] `;
+        result += describeRelatedError(subError, seen, subIndent);
+      });
+    }
+
+    const cause = readErrorProp(current, 'cause');
+    if (cause === undefined) {
+      break;
+    }
+    result += '\n' + indent + 'Caused by: ';
+    if (cause && typeof cause === 'object' && seen.has(cause)) {
+      result += '[Circular]';
+      break;
+    }
+    result += indentBlock(describeErrorForTerminal(cause), indent).slice(indent.length);
+    seen.add(cause);
+    current = cause;
+  }
+  return result;
+}
+
+function describeRelatedError(error, seen, indent) {
+  if (error && typeof error === 'object') {
+    if (seen.has(error)) {
+      return '[Circular]';
+    }
+    seen.add(error);
+  }
+  return (
+    indentBlock(describeErrorForTerminal(error), indent).slice(indent.length) +
+    (error && typeof error === 'object' ? formatRelatedErrorsForTerminal(error, seen, indent) : '')
+  );
+}
+
+function readErrorProp(error, key) {
+  try {
+    return error[key];
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * util.inspect which can't throw (eg. due to broken custom inspect implementations)
+ */
+function safeInspect(value, options) {
+  try {
+    return libUtil.inspect(value, options);
+  } catch (err) {
+    return `[Inspection failed: ${err && err.message}]`;
+  }
+}
+
+/**
+ * Format bound fields as a compact list of key=value pairs
+ * @param {Object} fields
+ * @return {string}
+ */
+function formatFieldsForTerminal(fields) {
+  return Object.keys(fields)
+    .map(key => {
+      const value = fields[key];
+      let valueStr;
+      if (typeof value === 'string') {
+        valueStr = /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+      } else {
+        valueStr = inspectCompact(value);
+      }
+      return `${key}=${valueStr}`;
+    })
+    .join(' ');
+}
+
+// *********************************************************************************************************************
+
+// Matches escaped braces or tokens like {name} and {name:argument}
+const TEMPLATE_TOKEN_REGEX = /\{\{|\}\}|\{([a-z_]+)(?::([^}]*))?\}/gi;
+
+/**
+ * Tokens which can be used in output templates. Each one is given the template argument (the part after ":"),
+ * and returns a function which renders a message into plain and painted text.
+ * @type {Object<string, function(string): function(TemplateRenderContext): {plain: string, painted: string}>}
+ */
+const TEMPLATE_TOKENS = {
+  time: format => ctx => {
+    if (!ctx.msg.timestamp) {
+      return EMPTY_TOKEN;
+    }
+    const plain = format ? formatTime(ctx.msg.timestamp, format) : ctx.msg.timestamp.toISOString();
+    return { plain, painted: ctx.painter.timestamp(plain) };
+  },
+  level: width => {
+    width = Number(width) || 0;
+    return ctx => {
+      const plain = width < 0 ? ctx.msg.level.padEnd(-width) : ctx.msg.level.padStart(width);
+      return { plain, painted: ctx.painter[ctx.msg.level](plain) };
+    };
+  },
+  tags: () => ctx => {
+    const plain = ctx.msg.collector.tagString || '';
+    return { plain, painted: ctx.painter.tags(plain) };
+  },
+  key: () => ctx => {
+    const plain = safeToString(ctx.msg.collector.key || '');
+    return { plain, painted: ctx.painter.tags(plain) };
+  },
+  msg: () => ctx => {
+    let plain = composeMessageForTerminal(ctx.msg);
+    if (ctx.indentMultiline) {
+      ctx.indent = ' '.repeat(ctx.lineLength);
+      plain = plain.replace(/(\r\n|\n\r|\r|\n)/gm, '$1' + ctx.indent);
+    }
+    // Same as formatForTerminal, the rest of the first line (data, fields...) goes before other message lines
+    const newlineIndex = plain.search(/\r|\n/);
+    if (newlineIndex >= 0) {
+      ctx.continuation = plain.slice(newlineIndex);
+      plain = plain.slice(0, newlineIndex);
+    }
+    return { plain, painted: ctx.painter.message(plain) };
+  },
+  data: () => ctx => {
+    const { inline, blocks } = renderDataForTerminal(
+      ctx.msg,
+      ctx.painter,
+      ctx.dataOptions,
+      ctx.indent
+    );
+    ctx.blocks.push(...blocks);
+    const plain = inline.join(' ');
+    return { plain, painted: ctx.painter.data(plain) };
+  },
+  fields: () => ctx => {
+    const plain = ctx.msg.fields ? formatFieldsForTerminal(ctx.msg.fields) : '';
+    return { plain, painted: ctx.painter.fields(plain) };
+  },
+  pid: () => () => plainToken(String(process.pid)),
+  hostname: () => {
+    const hostname = require('os').hostname();
+    return () => plainToken(hostname);
+  },
+  elapsed: () => ctx => {
+    const plain = ((ctx.now - ctx.startedAt) / 1000).toFixed(3) + 's';
+    return { plain, painted: ctx.painter.timestamp(plain) };
+  },
+  delta: () => ctx => {
+    const plain = '+' + (ctx.now - ctx.previousAt) + 'ms';
+    return { plain, painted: ctx.painter.timestamp(plain) };
+  },
+};
+
+const EMPTY_TOKEN = { plain: '', painted: '' };
+
+function plainToken(plain) {
+  return { plain, painted: plain };
+}
+
+/**
+ * @typedef {object} TemplateRenderContext
+ * @property {MayanLoggerMessage} msg
+ * @property {TerminalPainter} painter
+ * @property {MayanLoggerTerminalDataOptions} dataOptions
+ * @property {boolean} indentMultiline
+ * @property {number} lineLength Visible length of the current line so far
+ * @property {string} indent Indent used for message continuation lines
+ * @property {string} continuation Message lines after the first one, to be shown after the rest of the line
+ * @property {string[]} blocks Data blocks, to be shown below the line
+ * @property {number} now
+ * @property {number} startedAt
+ * @property {number} previousAt
+ */
+
+/**
+ * Format date in local time, using YYYY, MM, DD, HH, mm, ss and SSS placeholders
+ * @param {Date} date
+ * @param {string} format
+ * @return {string}
+ */
+function formatTime(date, format) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return format.replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, placeholder => {
+    switch (placeholder) {
+      case 'YYYY':
+        return String(date.getFullYear());
+      case 'MM':
+        return pad(date.getMonth() + 1);
+      case 'DD':
+        return pad(date.getDate());
+      case 'HH':
+        return pad(date.getHours());
+      case 'mm':
+        return pad(date.getMinutes());
+      case 'ss':
+        return pad(date.getSeconds());
+      case 'SSS':
+        return pad(date.getMilliseconds(), 3);
+    }
+  });
+}
+
+/**
+ * Compile a template, like "{time:HH:mm:ss.SSS} {level:5} {tags} {msg} {data}", into a formatter function.
+ * Tokens which render empty (eg. {tags} of a collector without tags) also swallow one following space.
+ * @param {string} template
+ * @param {MayanLoggerOptions|MayanLoggerTransportOptions} options
+ * @return {function(MayanLoggerMessage): string}
+ */
+function makeTemplateFormatter(template, options) {
+  const painter = new TerminalPainter(options.terminal_colors, options.colors);
+  const dataOptions = options.terminal_data || DEFAULT_TERMINAL_DATA_OPTIONS;
+
+  // Template is compiled into a list of literal strings and token renderers
+  const pieces = [];
+  let lastIndex = 0;
+  let match;
+  TEMPLATE_TOKEN_REGEX.lastIndex = 0;
+  while ((match = TEMPLATE_TOKEN_REGEX.exec(template))) {
+    if (match.index > lastIndex) {
+      pieces.push(template.slice(lastIndex, match.index));
+    }
+    lastIndex = match.index + match[0].length;
+
+    if (!match[1]) {
+      // Escaped brace
+      pieces.push(match[0][0]);
+      continue;
+    }
+
+    const makeToken = TEMPLATE_TOKENS[match[1]];
+    if (!makeToken) {
+      throw new MayanLoggerOptionsError(
+        `Unknown token "${
+          match[0]
+        }" in output template "${template}". Valid tokens are: ${Object.keys(TEMPLATE_TOKENS).join(
+          ', '
+        )}`
+      );
+    }
+    pieces.push(makeToken(match[2]));
+  }
+  if (lastIndex < template.length) {
+    pieces.push(template.slice(lastIndex));
+  }
+
+  const startedAt = Date.now();
+  let previousAt = startedAt;
+
+  return msg => {
+    const now = msg.timestamp ? msg.timestamp.getTime() : Date.now();
+
+    /** @type {TemplateRenderContext} */
+    const ctx = {
+      msg,
+      painter,
+      dataOptions,
+      indentMultiline: options.indent_multiline,
+      lineLength: 0,
+      indent: '',
+      continuation: '',
+      blocks: [],
+      now,
+      startedAt,
+      previousAt,
+    };
+    previousAt = now;
+
+    let output = '';
+    let skipSpace = false;
+    for (const piece of pieces) {
+      let plain;
+      let painted;
+      if (typeof piece === 'string') {
+        plain = skipSpace && piece[0] === ' ' ? piece.slice(1) : piece;
+        painted = plain;
+        skipSpace = false;
+      } else {
+        ({ plain, painted } = piece(ctx));
+        if (!plain) {
+          // Don't leave behind empty color codes
+          painted = '';
+          skipSpace = true;
+        } else {
+          skipSpace = false;
+        }
+      }
+
+      output += painted;
+      const newlineIndex = Math.max(plain.lastIndexOf('\n'), plain.lastIndexOf('\r'));
+      ctx.lineLength =
+        newlineIndex < 0 ? ctx.lineLength + plain.length : plain.length - newlineIndex - 1;
+    }
+
+    if (ctx.continuation) {
+      output += painter.message(ctx.continuation);
+    }
+    for (const block of ctx.blocks) {
+      output += '\n' + block;
+    }
+
+    return output;
+  };
 }
 
 // *********************************************************************************************************************
 
 /**
- * Format info into a JSON string
+ * Format info into a JSON string. This will never throw, regardless of what was logged.
  * @param {MayanLoggerMessage} msg
+ * @param {MayanLoggerJSONOptions} [jsonOptions]
  */
-function formatAsJSON(msg) {
-  const payload = { ...msg };
+function formatAsJSON(msg, jsonOptions = DEFAULT_JSON_OPTIONS) {
+  // Bound fields go at the top level, but can't override any of the standard keys
+  const payload = { ...msg.fields, ...msg };
 
   payload.tags = msg.collector.tags;
   delete payload.collector;
+  delete payload.fields;
+
+  if (payload.span) {
+    // Trace context ids go at the top level, named according to OpenTelemetry conventions
+    delete payload.span;
+    for (const key in msg.span) {
+      if (msg.span[key] !== undefined) {
+        payload[key] = msg.span[key];
+      }
+    }
+  }
 
-  if (payload.error) {
-    if (!(Object.getOwnPropertyDescriptor(payload, 'stack') || {}).enumerable) {
-      // This error object doesn't contain enumerable properties which will show up in JSON. Fix that.
-      const err = payload.error;
-      payload.error = { ...err };
-      payload.error.message = err.message;
-      payload.error.stack = err.stack;
+  if (payload.trace) {
+    // Tracing info (call id, duration...) goes at the top level
+    delete payload.trace;
+    for (const key in msg.trace) {
+      if (msg.trace[key] !== undefined) {
+        payload[key] = msg.trace[key];
+      }
     }
+  }
 
+  if (payload.error && !payload.message) {
     // Transplant error message to payload message
-    if (!payload.message) {
-      payload.message = payload.error.message || payload.error;
+    payload.message = payload.error.message || String(payload.error);
+  }
+
+  // Errors are expanded by the serializer, so that their message and stack are included
+  return safeStringify(payload, jsonOptions);
+}
+
+// *********************************************************************************************************************
+
+/**
+ * Format info into a logfmt line (key=value pairs). Nested data and errors are flattened using dotted keys.
+ * Same as JSON, this will never throw and obeys JSON size limits.
+ * @param {MayanLoggerMessage} msg
+ * @param {MayanLoggerJSONOptions} [jsonOptions]
+ */
+function formatAsLogfmt(msg, jsonOptions = DEFAULT_JSON_OPTIONS) {
+  const pairs = [];
+  const usedKeys = new Set();
+  const add = (key, value) => {
+    if (value !== undefined && !usedKeys.has(key)) {
+      usedKeys.add(key);
+      pairs.push(formatLogfmtKey(key) + '=' + formatLogfmtValue(value));
     }
+  };
+
+  let message = safeToString(msg.message);
+  if (msg.error && !message) {
+    // Same as JSON, transplant error message to message
+    message = safeToString(msg.error.message || msg.error);
   }
 
-  return JSON.stringify(payload);
+  add('ts', msg.timestamp ? msg.timestamp.toISOString() : undefined);
+  add('level', msg.level);
+  add(
+    'tags',
+    msg.collector.tags && msg.collector.tags.length ? msg.collector.tags.join('>') : undefined
+  );
+  add('msg', message);
+  add('sample_rate', msg.sample_rate);
+  add('backfilled', msg.backfilled);
+
+  // This is single-use, so the size limit is applied to the entire line
+  const serializer = new Serializer(jsonOptions);
+  const addFlattened = (prefix, value) => {
+    flattenForLogfmt(prefix, serializer.serialize(value, 1), add);
+  };
+
+  for (const source of [msg.span, msg.trace]) {
+    if (source) {
+      for (const key in source) {
+        add(key, source[key]);
+      }
+    }
+  }
+
+  if (msg.error) {
+    addFlattened('err', msg.error);
+  }
+
+  if (msg.fields) {
+    // Bound fields can't override any of the standard keys
+    for (const key of Object.keys(msg.fields)) {
+      addFlattened(key, msg.fields[key]);
+    }
+  }
+
+  if (Array.isArray(msg.data)) {
+    if (msg.data.length === 1) {
+      addFlattened('data', msg.data[0]);
+    } else {
+      msg.data.forEach((arg, index) => addFlattened('data.' + index, arg));
+    }
+  } else if (msg.data !== undefined) {
+    addFlattened('data', msg.data);
+  }
+
+  return pairs.join(' ');
+}
+
+/**
+ * Call add() for each leaf of a serialized value, with dotted path as key
+ */
+function flattenForLogfmt(prefix, value, add) {
+  if (value === null || typeof value !== 'object') {
+    add(prefix, value);
+    return;
+  }
+
+  const keys = Object.keys(value);
+  if (!keys.length) {
+    add(prefix, Array.isArray(value) ? '[]' : '{}');
+    return;
+  }
+  for (const key of keys) {
+    flattenForLogfmt(prefix + '.' + key, value[key], add);
+  }
+}
+
+function formatLogfmtKey(key) {
+  // Keys can't contain spaces, quotes or equal signs
+  return key.replace(/[\s"=]/g, '_') || '_';
+}
+
+function formatLogfmtValue(value) {
+  if (value === null) {
+    return 'null';
+  }
+  const str = String(value);
+  // JSON string escaping works for logfmt as well. We only quote if needed.
+  const quoted = JSON.stringify(str);
+  return !str || /[\s"=]/.test(str) || quoted.length !== str.length + 2 ? quoted : str;
 }
 
 // *********************************************************************************************************************
 
 /**
- * @param {MayanLoggerOptions} options
+ * @param {MayanLoggerOptions|MayanLoggerTransportOptions} options
  */
 function makeFormatter(options) {
+  if (isFunction(options.output)) {
+    // User has provided their own formatter
+    return options.output;
+  }
+
+  if (isOutputTemplate(options.output)) {
+    return makeTemplateFormatter(options.output, options);
+  }
+
   switch (options.output) {
-    case LOGGER_OUTPUTS.terminal:
-      return formatForTerminal.bind(
-        null,
-        options.indent_multiline,
-        new TerminalPainter(options.terminal_colors)
-      );
+    case LOGGER_OUTPUTS.terminal: {
+      const painter = new TerminalPainter(options.terminal_colors, options.colors);
+      return msg =>
+        formatForTerminal(options.indent_multiline, painter, msg, options.terminal_data);
+    }
     case LOGGER_OUTPUTS.json:
-      return formatAsJSON;
+      return msg => formatAsJSON(msg, options.json);
+    case LOGGER_OUTPUTS.logfmt:
+      return msg => formatAsLogfmt(msg, options.json);
   }
 
   throw new MayanLoggerOptionsError(
-    `Invalid output "${options.output}". Must be either "${LOGGER_OUTPUTS.terminal}" or "${LOGGER_OUTPUTS.json}"`
+    `Invalid output "${options.output}". Must be one of "${Object.keys(LOGGER_OUTPUTS).join(
+      '", "'
+    )}" a formatter function or a template string`
   );
 }
 
@@ -209,5 +877,7 @@ module.exports = {
   TerminalPainter,
   formatForTerminal,
   formatAsJSON,
+  formatAsLogfmt,
+  makeTemplateFormatter,
   makeFormatter,
 };
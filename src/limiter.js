@@ -0,0 +1,160 @@
+'use strict';
+
+const { RATE_LIMIT_SCOPES } = require('./types');
+
+/**
+ * Decides which messages get through rate limiting and duplicate suppression. Keeps track of everything that
+ * was dropped, so it can be summarized instead.
+ */
+class MessageLimiter {
+  /**
+   * @param {MayanLoggerRateLimitOptions} options
+   * @param {function(): number} [now] Clock, in ms
+   */
+  constructor(options, now = Date.now) {
+    this.options = options;
+    this.now = now;
+
+    /**
+     * Totals since the limiter was created
+     */
+    this.suppressed = { rate_limited: 0, duplicates: 0 };
+
+    /**
+     * Suppressed counts by collector key
+     * @type {Object.<string, {rate_limited: number, duplicates: number}>}
+     */
+    this.suppressedByCollector = {};
+
+    /**
+     * Token buckets, by collector key (unless global) and level
+     * @type {Map<string, {tokens: number, updated_at: number, suppressed: number, collector: MayanLogCollectorState, level: string}>}
+     */
+    this._buckets = new Map();
+
+    /**
+     * Messages logged in the current interval, with the number of times they were repeated
+     * @type {Map<string, {collector: MayanLogCollectorState, level: string, message: string, first_at: number, count: number}>}
+     */
+    this._seen = new Map();
+
+    this._intervalStart = now();
+  }
+
+  /**
+   * Returns true if message should be logged
+   * @param {MayanLogCollectorState} collector
+   * @param {string} level
+   * @param {string|null} message Message text, or null if message can't be checked for duplicates (eg. objects)
+   * @return {boolean}
+   */
+  allow(collector, level, message) {
+    const checkDuplicates = this.options.duplicates && message !== null;
+    const seenKey = collector.key + '\n' + level + '\n' + message;
+    if (checkDuplicates) {
+      const seen = this._seen.get(seenKey);
+      if (seen) {
+        seen.count++;
+        this._count(collector, 'duplicates');
+        return false;
+      }
+    }
+
+    if (!this._takeToken(collector, level)) {
+      this._count(collector, 'rate_limited');
+      return false;
+    }
+
+    if (checkDuplicates && this._seen.size < this.options.max_tracked) {
+      this._seen.set(seenKey, { collector, level, message, first_at: this.now(), count: 0 });
+    }
+    return true;
+  }
+
+  _takeToken(collector, level) {
+    const limit = level in this.options.levels ? this.options.levels[level] : this.options;
+    if (!limit || !limit.rate) {
+      return true;
+    }
+
+    const isGlobal = this.options.scope === RATE_LIMIT_SCOPES.global;
+    const key = (isGlobal ? '' : collector.key) + '\n' + level;
+    const now = this.now();
+    let bucket = this._buckets.get(key);
+    if (!bucket) {
+      bucket = {
+        tokens: limit.burst,
+        updated_at: now,
+        suppressed: 0,
+        collector: isGlobal ? null : collector,
+        level,
+      };
+      this._buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(
+      limit.burst,
+      bucket.tokens + ((now - bucket.updated_at) / 1000) * limit.rate
+    );
+    bucket.updated_at = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens--;
+      return true;
+    }
+    bucket.suppressed++;
+    return false;
+  }
+
+  _count(collector, kind) {
+    this.suppressed[kind]++;
+    const counts =
+      this.suppressedByCollector[collector.key] ||
+      (this.suppressedByCollector[collector.key] = { rate_limited: 0, duplicates: 0 });
+    counts[kind]++;
+  }
+
+  /**
+   * Get summaries of messages suppressed since the last call, and start a new interval. Collector is null for
+   * summaries of the global rate limit.
+   * @return {Array<{collector: MayanLogCollectorState|null, level: string, message: string}>}
+   */
+  takeSummaries() {
+    const now = this.now();
+    const summaries = [];
+
+    for (const seen of this._seen.values()) {
+      if (seen.count) {
+        const duration = formatSeconds(now - seen.first_at);
+        summaries.push({
+          collector: seen.collector,
+          level: seen.level,
+          message: `Previous message repeated ${seen.count} times in ${duration}: "${seen.message}"`,
+        });
+      }
+    }
+    this._seen.clear();
+
+    const interval = formatSeconds(now - this._intervalStart);
+    for (const bucket of this._buckets.values()) {
+      if (bucket.suppressed) {
+        summaries.push({
+          collector: bucket.collector,
+          level: bucket.level,
+          message: `${bucket.suppressed} ${bucket.level} messages dropped by rate limit in ${interval}`,
+        });
+        bucket.suppressed = 0;
+      }
+    }
+
+    this._intervalStart = now;
+    return summaries;
+  }
+}
+
+function formatSeconds(ms) {
+  return Math.round(ms / 100) / 10 + 's';
+}
+
+module.exports = {
+  MessageLimiter,
+};
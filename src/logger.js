@@ -1,19 +1,47 @@
 'use strict';
 
+const { AsyncLocalStorage } = require('async_hooks');
+
 const {
   LOG_LEVELS,
   LOG_LEVEL_VALUES,
+  LOG_LEVEL_VALUES_TO_LEVELS,
   MayanLoggerOptions,
+  MayanLoggerSamplingOptions,
+  RECORDER_SCOPES,
   MayanLogCollectorState,
   MayanLoggerMessage,
+  MayanLoggerTraceInfo,
+  TRACE_OUTCOMES,
   MayanLoggerState,
   MayanLoggerError,
   InvalidLogLevelError,
 } = require('./types');
-const { inspectCompact, isFunction } = require('./utils');
+const { inspectCompact, isFunction, isClass, safeToString } = require('./utils');
 const { MayanLogCollector } = require('./collector');
-const { makeFormatter } = require('./formats');
-const { makeConsoleWriter } = require('./writers');
+const { parseTraceparent, formatTraceparent, startSpan } = require('./spans');
+const { Redactor } = require('./redact');
+const { makeAdminHandler } = require('./admin');
+const { readConfigFile, watchConfigFile } = require('./config');
+const { MessageLimiter } = require('./limiter');
+const { FlightRecorder } = require('./recorder');
+const {
+  makeTransports,
+  transportAccepts,
+  flushTransports,
+  closeTransports,
+} = require('./transports');
+
+/**
+ * Own properties of functions (and classes), which should never be wrapped for tracing
+ */
+const FUNCTION_OWN_PROPERTIES = {
+  length: true,
+  name: true,
+  prototype: true,
+  caller: true,
+  arguments: true,
+};
 
 /**
  * Master logger coordinator. Can create log interfaces for individual services, attach tracing...
@@ -26,6 +54,16 @@ function MayanLogger(options) {
     options = new MayanLoggerOptions(options);
   }
 
+  /**
+   * Options as given to us. Config file is applied on top of these, on every reload.
+   * @type {MayanLoggerOptions}
+   */
+  const _baseOptions = options;
+  if (options.config_file) {
+    options = new MayanLoggerOptions(_baseOptions);
+    options.assign(readConfigFile(options.config_file.path));
+  }
+
   /**
    * Keep track of logged errors, so we don't log them twice
    */
@@ -36,6 +74,16 @@ function MayanLogger(options) {
    */
   const _tracingTargets = new WeakSet();
 
+  /**
+   * All tracing wrappers we have created, so we never wrap the same function twice
+   */
+  const _tracingWrappers = new WeakSet();
+
+  /**
+   * Counter used to generate ids for traced calls, so that entry and exit messages can be paired
+   */
+  let _lastTraceCallId = 0;
+
   /**
    * Current global log level
    */
@@ -46,8 +94,86 @@ function MayanLogger(options) {
    */
   let _enabled = options.enabled;
 
+  /**
+   * Whether tracing shims should log. Individual collectors can override this.
+   */
+  let _tracingEnabled = !!(options.tracing && options.tracing.enabled);
+
   let _makeTimestamp = makeTimestampMaker(options.timestamp);
 
+  /**
+   * Holds context (eg. bound fields) for the currently executing async call tree.
+   * Only available on node versions that support AsyncLocalStorage.
+   * @type {AsyncLocalStorage<{fields: Object, span: MayanLoggerTraceContext}>}
+   */
+  const _contextStorage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+  /**
+   * If set, sensitive data will be removed from everything we log. Can be replaced by config reload.
+   * @type {Redactor}
+   */
+  let _redactor = options.redact ? new Redactor(options.redact) : null;
+
+  /**
+   * Level logger was at before level signal started cycling it, or null if we aren't cycling
+   */
+  let _signalBaseLevel = null;
+
+  /**
+   * Stops watching the config file, if we are watching one
+   * @type {function()|null}
+   */
+  let _stopConfigWatcher = null;
+
+  /**
+   * Current sample rates. These can be changed live.
+   * @type {MayanLoggerSamplingOptions}
+   */
+  const _sampling = new MayanLoggerSamplingOptions({
+    ...options.sampling,
+    levels: { ...options.sampling.levels },
+    collectors: Object.keys(options.sampling.collectors).reduce((collectors, key) => {
+      collectors[key] = { ...options.sampling.collectors[key] };
+      return collectors;
+    }, {}),
+  });
+
+  /**
+   * Whether any sample rates are set, so we can skip sampling entirely if not
+   */
+  let _samplingActive = false;
+
+  const updateSamplingActive = () => {
+    _samplingActive =
+      Object.keys(_sampling.levels).length > 0 ||
+      Object.keys(_sampling.collectors).some(key => Object.keys(_sampling.collectors[key]).length);
+  };
+  updateSamplingActive();
+
+  /**
+   * If rate limiting is enabled, decides which messages are dropped
+   * @type {MessageLimiter}
+   */
+  const _limiter = options.rate_limit.enabled ? new MessageLimiter(options.rate_limit) : null;
+
+  /**
+   * If enabled, keeps recent messages that were below the active level
+   * @type {FlightRecorder}
+   */
+  const _recorder = options.flight_recorder.enabled
+    ? new FlightRecorder(options.flight_recorder)
+    : null;
+
+  /**
+   * Set while we are logging summaries of suppressed messages, so they aren't limited themselves
+   */
+  let _loggingSummaries = false;
+
+  /**
+   * Set once logger is closed. Closed logger will not write anything.
+   */
+  let _closed = false;
+
   /**
    * All registered collectors
    * @type {Object.<string, MayanLogCollectorState>}
@@ -55,16 +181,23 @@ function MayanLogger(options) {
   const _collectors = {};
 
   /**
-   * Formatter will take a MayanLoggerMessage instance and produce a string that can be fed to writer
-   * @type {function(MayanLoggerMessage)}
+   * Collector level rules, by collector key or glob pattern (eg. "Db_*", "*_Worker").
+   * Compiled regex is only set for patterns.
+   * @type {Map<string, {level: string, regex: RegExp|null, specificity: number}>}
+   */
+  const _levelRules = new Map();
+
+  /**
+   * Keys of the level rules that came from options (collector_levels), so they can be replaced on config reload
+   * @type {string[]}
    */
-  this._formatMessage = makeFormatter(options);
+  let _optionLevelRuleKeys = [];
 
   /**
-   * Writer will actually write the message to stdout or stderr
-   * @type {loggerWriter}
+   * Transports will format messages and write them out, each to its own destination
+   * @type {MayanLoggerTransport[]}
    */
-  this._writeMessage = makeConsoleWriter();
+  this._transports = makeTransports(options);
 
   /**
    * Returns true if we should log at given level
@@ -73,7 +206,7 @@ function MayanLogger(options) {
    * @returns boolean
    */
   this._shouldLog = (collector, level) => {
-    if (!_enabled) {
+    if (!_enabled || _closed) {
       return false;
     }
 
@@ -91,6 +224,18 @@ function MayanLogger(options) {
    * @param args
    */
   this._log = function(collector, level, message, ...args) {
+    return this._logMessage(collector, level, message, args, undefined);
+  };
+
+  /**
+   * Internal implementation of _log, with a few extra arguments
+   * @param {MayanLogCollectorState} collector Logging collector that is submitting this log
+   * @param level Level at which this should be logged
+   * @param message
+   * @param {Array} args
+   * @param {MayanLoggerTraceInfo} trace Tracing info, if this is a message generated by tracing wrapper
+   */
+  this._logMessage = function(collector, level, message, args, trace) {
     let isTrace = false;
     if (level === LOG_LEVELS.trace) {
       isTrace = true;
@@ -98,9 +243,74 @@ function MayanLogger(options) {
     }
 
     if (!this._shouldLog(collector, level)) {
+      if (_recorder && _enabled && !_closed && _recorder.accepts(level)) {
+        // Keep it around, in case an error comes along
+        const context = _contextStorage && _contextStorage.getStore();
+        const fields = getMessageFields(collector, context);
+        _recorder.record(
+          {
+            collector,
+            level,
+            message,
+            args,
+            trace,
+            is_trace: isTrace,
+            context,
+            fields,
+            timestamp: _makeTimestamp(),
+          },
+          getRecorderKey(collector, fields)
+        );
+      }
       return;
     }
 
+    const context = _contextStorage && _contextStorage.getStore();
+    const fields = getMessageFields(collector, context);
+
+    let sampleRate;
+    if (_samplingActive && !_loggingSummaries) {
+      sampleRate = getSampleRate(collector, level);
+      if (sampleRate >= 1) {
+        sampleRate = undefined;
+      } else if (!isSampledIn(sampleRate, fields)) {
+        return;
+      }
+    }
+
+    if (
+      _limiter &&
+      !_loggingSummaries &&
+      !_limiter.allow(collector, level, getDuplicateKey(message))
+    ) {
+      return;
+    }
+
+    emitMessage(
+      {
+        collector,
+        level,
+        message,
+        args,
+        trace,
+        is_trace: isTrace,
+        context,
+        fields,
+        timestamp: _makeTimestamp(),
+      },
+      sampleRate,
+      false
+    );
+  };
+
+  /**
+   * Turn what was logged into a message and write it out
+   * @param {FlightRecorderEntry} entry
+   * @param {number} sampleRate
+   * @param {boolean} backfilled Whether this is an entry from the flight recorder
+   */
+  const emitMessage = (entry, sampleRate, backfilled) => {
+    let { message, args, fields } = entry;
     let error;
 
     if (message instanceof Error) {
@@ -127,15 +337,38 @@ function MayanLogger(options) {
       _loggedErrors.add(error);
     }
 
+    if (
+      _recorder &&
+      !backfilled &&
+      LOG_LEVEL_VALUES[entry.level] <= LOG_LEVEL_VALUES[options.flight_recorder.flush_level]
+    ) {
+      // Show what led up to this
+      backfill(_recorder.take(getRecorderKey(entry.collector, fields)));
+    }
+
+    if (_redactor) {
+      message = _redactor.redact(message);
+      args = args.map(arg => _redactor.redact(arg));
+      error = error && _redactor.redact(error);
+      fields = fields && _redactor.redact(fields);
+    }
+
     const msg = new MayanLoggerMessage(
-      collector,
-      level,
+      entry.collector,
+      entry.level,
       message,
       error,
       args,
-      _makeTimestamp(),
-      isTrace
+      entry.timestamp,
+      entry.is_trace,
+      fields,
+      entry.trace,
+      entry.context && entry.context.span,
+      sampleRate
     );
+    if (backfilled) {
+      msg.backfilled = true;
+    }
 
     if (options.on_log) {
       try {
@@ -151,8 +384,185 @@ function MayanLogger(options) {
     }
 
     // Write it out
-    const txtMessage = this._formatMessage(msg);
-    this._writeMessage(msg.level, txtMessage);
+    for (const transport of this._transports) {
+      if (transportAccepts(transport, msg.level)) {
+        transport.write(msg.level, transport.format(msg), msg);
+      }
+    }
+  };
+
+  /**
+   * Write out entries from the flight recorder
+   * @param {FlightRecorderEntry[]} entries
+   */
+  const backfill = entries => {
+    for (const entry of entries) {
+      emitMessage(entry, undefined, true);
+    }
+  };
+
+  /**
+   * Get key of the flight recorder buffer where messages of given collector and fields belong
+   * @param {MayanLogCollectorState} collector
+   * @param {Object} fields
+   * @return {string}
+   */
+  const getRecorderKey = (collector, fields) => {
+    switch (options.flight_recorder.scope) {
+      case RECORDER_SCOPES.collector:
+        return collector.key;
+      case RECORDER_SCOPES.context: {
+        const value = fields ? fields[options.flight_recorder.key_field] : undefined;
+        return value === undefined || value === null ? '' : String(value);
+      }
+    }
+    return '';
+  };
+
+  /**
+   * Get sample rate for messages of given collector and level. Collector rates are looked up through the tag
+   * hierarchy, then we fall back to the level rate.
+   * @param {MayanLogCollectorState} collector
+   * @param {string} level
+   * @return {number}
+   */
+  const getSampleRate = (collector, level) => {
+    const tags = collector.tags;
+    for (let length = tags.length; length >= 0; length--) {
+      if (length === 0 && tags.length) {
+        break;
+      }
+      const rates = _sampling.collectors[tags.slice(0, length).join('_')];
+      if (rates && rates[level] !== undefined) {
+        return rates[level];
+      }
+    }
+    return _sampling.levels[level] !== undefined ? _sampling.levels[level] : 1;
+  };
+
+  /**
+   * Decide whether a message sampled at given rate should be logged. If messages have the sampling key field,
+   * decision is based on its value, so all messages with the same value go the same way.
+   * @param {number} rate
+   * @param {Object} fields
+   */
+  const isSampledIn = (rate, fields) => {
+    const keyValue = _sampling.key_field && fields ? fields[_sampling.key_field] : undefined;
+    const roll =
+      keyValue === undefined || keyValue === null ? Math.random() : hashToUnit(String(keyValue));
+    return roll < rate;
+  };
+
+  /**
+   * Log summaries of messages that were dropped by the limiter since the last time
+   */
+  const logSuppressedSummaries = () => {
+    const summaries = _limiter.takeSummaries();
+    _loggingSummaries = true;
+    try {
+      for (const summary of summaries) {
+        this._logMessage(
+          summary.collector || this.log.state,
+          summary.level,
+          summary.message,
+          [],
+          undefined
+        );
+      }
+    } finally {
+      _loggingSummaries = false;
+    }
+  };
+
+  /**
+   * Periodically logs limiter summaries
+   */
+  let _summaryTimer = null;
+
+  /**
+   * Get fields that should be attached to a message. Collector's own fields override the async context ones.
+   * @param {MayanLogCollectorState} collector
+   * @param {{fields: Object}} context
+   */
+  const getMessageFields = (collector, context) => {
+    if (!context || !context.fields) {
+      return collector.fields;
+    }
+    return collector.fields ? { ...context.fields, ...collector.fields } : context.fields;
+  };
+
+  /**
+   * Run given function with given context fields. Every message logged from within the function's async call tree
+   * (through any collector) will include these fields. Calls can be nested, in which case the fields are merged.
+   * @template T
+   * @param {Object} fields
+   * @param {function(): T} fn
+   * @return T
+   */
+  this.runWithContext = (fields, fn) => {
+    if (!_contextStorage) {
+      throw new MayanLoggerError(
+        `Context propagation requires a node.js version with AsyncLocalStorage`
+      );
+    }
+
+    const parent = _contextStorage.getStore();
+    return _contextStorage.run(
+      {
+        ...parent,
+        fields: { ...(parent && parent.fields), ...fields },
+      },
+      fn
+    );
+  };
+
+  /**
+   * Run given function within a distributed trace. If a valid W3C traceparent header is given, we will continue
+   * that trace, with a new span whose parent is the caller's span. Otherwise, a new trace is started.
+   * Every message logged from within the function's async call tree will carry trace_id, span_id and parent_span_id.
+   * @template T
+   * @param {string|null} traceparent
+   * @param {function(): T} fn
+   * @return T
+   */
+  this.runWithTraceContext = (traceparent, fn) => {
+    if (!_contextStorage) {
+      throw new MayanLoggerError(
+        `Context propagation requires a node.js version with AsyncLocalStorage`
+      );
+    }
+
+    return runInSpan(startSpan(parseTraceparent(traceparent)), fn);
+  };
+
+  /**
+   * Get W3C traceparent header for the span that is active at this point of execution. You can send this to other
+   * services, so they can continue the trace. Returns undefined if there is no active span.
+   * @return {string|undefined}
+   */
+  this.getTraceparent = () => {
+    const context = _contextStorage && _contextStorage.getStore();
+    return context && context.span ? formatTraceparent(context.span) : undefined;
+  };
+
+  /**
+   * @param {MayanLoggerTraceContext} span
+   * @param {function} fn
+   */
+  const runInSpan = (span, fn) => {
+    if (!_contextStorage) {
+      return fn();
+    }
+    return _contextStorage.run({ ..._contextStorage.getStore(), span }, fn);
+  };
+
+  /**
+   * Get context fields that are active at this point of execution, if any
+   * @return {Object|undefined}
+   */
+  this.getContextFields = () => {
+    const context = _contextStorage && _contextStorage.getStore();
+    return context ? context.fields : undefined;
   };
 
   /**
@@ -180,8 +590,8 @@ function MayanLogger(options) {
     const state = new MayanLogCollectorState({
       key: collectorKey,
       tags,
-      level: (options.collector_levels && options.collector_levels[collectorKey]) || undefined,
     });
+    applyLevelRules(state);
 
     const collector = new MayanLogCollector(state, this);
     _collectors[collectorKey] = collector;
@@ -189,58 +599,285 @@ function MayanLogger(options) {
     return collector;
   };
 
-  this._tracingArgToString = ob => inspectCompact(ob);
+  /**
+   * Find the level rule which should apply to a collector with given tags. A collector's own key wins, then the
+   * most specific pattern matching it. If nothing matches, we go up the tag hierarchy (Service_Worker -> Service)
+   * and try again.
+   * @param {string[]} tags
+   * @return {string|null} Rule key
+   */
+  const findLevelRule = tags => {
+    for (let length = tags.length; length >= 0; length--) {
+      if (length === 0 && tags.length) {
+        // Default collector is not a parent of the tagged ones
+        break;
+      }
+
+      const key = tags.slice(0, length).join('_');
+      if (_levelRules.has(key)) {
+        return key;
+      }
+
+      let best = null;
+      for (const [pattern, rule] of _levelRules) {
+        if (
+          rule.regex &&
+          rule.regex.test(key) &&
+          (!best || rule.specificity >= _levelRules.get(best).specificity)
+        ) {
+          best = pattern;
+        }
+      }
+      if (best) {
+        return best;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Resolve level rule for given collector state and apply it
+   * @param {MayanLogCollectorState} state
+   */
+  const applyLevelRules = state => {
+    const ruleKey = findLevelRule(state.tags);
+    state.level = ruleKey === null ? undefined : _levelRules.get(ruleKey).level;
+    state.level_rule = ruleKey === null ? undefined : ruleKey;
+  };
+
+  /**
+   * @param {string} key Collector key or glob pattern
+   * @param {string|undefined} level Level, or undefined to remove the rule
+   */
+  const putLevelRule = (key, level) => {
+    key = String(key);
+    if (level === undefined || level === null) {
+      _levelRules.delete(key);
+    } else {
+      _levelRules.set(key, {
+        level,
+        regex: key.includes('*') ? globToRegex(key) : null,
+        specificity: key.replace(/\*/g, '').length,
+      });
+    }
+  };
+
+  /**
+   * Re-resolve levels of all collectors, after rules have changed
+   */
+  const applyLevelRulesToAll = () => {
+    for (const collectorKey in _collectors) {
+      applyLevelRules(_collectors[collectorKey].state);
+    }
+  };
+
+  /**
+   * Replace level rules that came from options with the given ones
+   * @param {Object.<string, string>} collectorLevels
+   */
+  const setOptionLevelRules = collectorLevels => {
+    for (const key of _optionLevelRuleKeys) {
+      _levelRules.delete(key);
+    }
+    _optionLevelRuleKeys = Object.keys(collectorLevels || {});
+    for (const key of _optionLevelRuleKeys) {
+      putLevelRule(key, collectorLevels[key]);
+    }
+    applyLevelRulesToAll();
+  };
+
+  setOptionLevelRules(options.collector_levels);
+
+  this._tracingArgToString = ob => inspectCompact(_redactor ? _redactor.redact(ob) : ob);
 
   this._makeTracingWrapper = (collector, name, fn) => {
     return function tracingWrapper() {
+      if (
+        !thisLogger._isTracing(collector) ||
+        !thisLogger._shouldLog(collector, options.tracing.level)
+      ) {
+        // Don't waste time on preparing trace messages that will not be logged
+        return fn.apply(this, arguments);
+      }
+
       if (fn.name) {
         name = fn.name;
       }
       const args = Array.prototype.map.call(arguments, thisLogger._tracingArgToString).join(', ');
-      const message = `[TRACE] ${name}(${args})`;
-      // NOTE: Tracing is always done with trace level. It can later be replaced with actual level, based on settings.
-      thisLogger._log(collector, LOG_LEVELS.trace, message);
+      const call = `${name}(${args})`;
+      const callId = ++_lastTraceCallId;
 
-      return fn.apply(this, arguments);
+      // Each traced call is a span, nested within the span of the caller
+      const context = _contextStorage && _contextStorage.getStore();
+      const span = startSpan(context && context.span);
 
-      // TODO: We can add performance tracing here
-      // TODO: Measure duration of function execution. If Promise is returned, measure the time before it fails or resolves
+      const self = this;
+      const fnArgs = arguments;
+      return runInSpan(span, () => {
+        // NOTE: Tracing is always done with trace level. It can later be replaced with actual level, based on settings.
+        thisLogger._logMessage(
+          collector,
+          LOG_LEVELS.trace,
+          `[TRACE] ${call}`,
+          [],
+          new MayanLoggerTraceInfo({ call_id: callId })
+        );
+
+        const start = process.hrtime();
+        const logExit = (outcome, value) => {
+          const elapsed = process.hrtime(start);
+          const durationMs = Math.round((elapsed[0] * 1e3 + elapsed[1] / 1e6) * 1000) / 1000;
+          thisLogger._logMessage(
+            collector,
+            LOG_LEVELS.trace,
+            `[TRACE] ${call} ${outcome} ${thisLogger._tracingArgToString(value)} (${durationMs}ms)`,
+            [],
+            new MayanLoggerTraceInfo({ call_id: callId, outcome, duration_ms: durationMs })
+          );
+        };
+
+        let result;
+        try {
+          result = fn.apply(self, fnArgs);
+        } catch (err) {
+          logExit(TRACE_OUTCOMES.threw, err);
+          throw err;
+        }
+
+        if (!result || !isFunction(result.then)) {
+          logExit(TRACE_OUTCOMES.returned, result);
+          return result;
+        }
+
+        // Log once the promise settles. We return a chained promise, which settles the same way as the original,
+        // so if caller ignores a rejection, it still surfaces as unhandled.
+        return result.then(
+          value => {
+            logExit(TRACE_OUTCOMES.resolved, value);
+            return value;
+          },
+          err => {
+            logExit(TRACE_OUTCOMES.rejected, err);
+            throw err;
+          }
+        );
+      });
     };
   };
 
-  this.isTracingEnabled = () => !!(_enabled && options.tracing && options.tracing.enabled);
+  this.isTracingEnabled = () => !!(_enabled && _tracingEnabled);
 
   /**
-   * Add tracing wrapper around all function properties on an object
+   * Returns true if calls traced through given collector should be logged. This is checked on every call,
+   * so tracing can be toggled live.
+   * @param {MayanLogCollectorState} collector
+   */
+  this._isTracing = collector => {
+    return _enabled && (collector.tracing !== undefined ? collector.tracing : _tracingEnabled);
+  };
+
+  /**
+   * Add tracing wrapper around all methods of an object. Methods inherited from prototypes (eg. ES classes) are
+   * wrapped too, by defining the wrappers directly on the target. We go up the prototype chain until Object.prototype.
    * NOTE: This will mutate the object!
    * @param {MayanLogCollectorState} collector
-   * @param {Object} target
+   * @param {Object|function} target
    * @param {WeakSet<function>} untracedMethods
+   * @param {{accessors: boolean, statics: boolean}} [addOptions] Overrides for the tracing options
    */
-  this._addTracing = (collector, target, untracedMethods) => {
-    if (!target || !target.hasOwnProperty) {
+  this._addTracing = (collector, target, untracedMethods, addOptions) => {
+    if (!target || (typeof target !== 'object' && typeof target !== 'function')) {
       throw new MayanLoggerError(`Tracing target must be an object, given value: ${target}`);
     }
 
-    if (!this.isTracingEnabled()) {
-      // Tracing is disabled, do nothing
-      return target;
-    }
-
     if (_tracingTargets.has(target)) {
       // Already added tracing for this object
       return target;
     }
+    _tracingTargets.add(target);
 
-    for (const key in target) {
-      if (
-        target.hasOwnProperty(key) &&
-        isFunction(target[key]) &&
-        (!untracedMethods || !untracedMethods.has(target[key]))
-      ) {
-        target[key] = this._makeTracingWrapper(collector, key, target[key]);
+    const accessors =
+      addOptions && addOptions.accessors !== undefined
+        ? addOptions.accessors
+        : options.tracing.accessors;
+    const statics =
+      addOptions && addOptions.statics !== undefined ? addOptions.statics : options.tracing.statics;
+
+    const shouldWrap = fn =>
+      isFunction(fn) &&
+      !isClass(fn) &&
+      !_tracingWrappers.has(fn) &&
+      (!untracedMethods || !untracedMethods.has(fn));
+
+    const wrap = (name, fn) => {
+      const wrapper = this._makeTracingWrapper(collector, name, fn);
+      Object.defineProperty(wrapper, 'name', { value: fn.name, configurable: true });
+      Object.defineProperty(wrapper, 'length', { value: fn.length, configurable: true });
+      _tracingWrappers.add(wrapper);
+      return wrapper;
+    };
+
+    const isTargetFunction = typeof target === 'function';
+    const canExtend = Object.isExtensible(target);
+    const seenKeys = new Set();
+
+    for (
+      let source = target;
+      source && source !== Object.prototype && source !== Function.prototype;
+      source = Object.getPrototypeOf(source)
+    ) {
+      for (const key of Object.getOwnPropertyNames(source)) {
+        if (
+          seenKeys.has(key) ||
+          key === 'constructor' ||
+          (isTargetFunction && FUNCTION_OWN_PROPERTIES[key])
+        ) {
+          continue;
+        }
+        // Properties closer to the target shadow the ones further up the chain
+        seenKeys.add(key);
+
+        const descriptor = Object.getOwnPropertyDescriptor(source, key);
+        if (source === target ? !descriptor.configurable && !descriptor.writable : !canExtend) {
+          // We can't replace this property
+          continue;
+        }
+
+        if ('value' in descriptor) {
+          if (shouldWrap(descriptor.value)) {
+            Object.defineProperty(target, key, {
+              ...descriptor,
+              value: wrap(key, descriptor.value),
+            });
+          }
+          continue;
+        }
+
+        if (!accessors || (source === target && !descriptor.configurable)) {
+          continue;
+        }
+
+        const get = shouldWrap(descriptor.get)
+          ? wrap(`get ${key}`, descriptor.get)
+          : descriptor.get;
+        const set = shouldWrap(descriptor.set)
+          ? wrap(`set ${key}`, descriptor.set)
+          : descriptor.set;
+        if (get !== descriptor.get || set !== descriptor.set) {
+          Object.defineProperty(target, key, { ...descriptor, get, set });
+        }
       }
     }
+
+    if (
+      statics &&
+      !isTargetFunction &&
+      isFunction(target.constructor) &&
+      target.constructor !== Object
+    ) {
+      this._addTracing(collector, target.constructor, untracedMethods, addOptions);
+    }
+
     return target;
   };
 
@@ -255,8 +892,32 @@ function MayanLogger(options) {
       output: options.output,
       level: _level,
       timestamps: !!_makeTimestamp(),
-      tracing_enabled: !!(options.tracing && options.tracing.enabled),
-      collectors: Object.values(_collectors).map(c => c.state),
+      tracing_enabled: _tracingEnabled,
+      collectors: Object.values(_collectors).map(
+        c =>
+          new MayanLogCollectorState({
+            ...c.state,
+            effective_level: c.state.level || _level,
+            suppressed: {
+              rate_limited: 0,
+              duplicates: 0,
+              ...(_limiter && _limiter.suppressedByCollector[c.state.key]),
+            },
+          })
+      ),
+      level_rules: Array.from(_levelRules).reduce((rules, [key, rule]) => {
+        rules[key] = rule.level;
+        return rules;
+      }, {}),
+      sampling: {
+        levels: { ..._sampling.levels },
+        collectors: JSON.parse(JSON.stringify(_sampling.collectors)),
+      },
+      flight_recorder: _recorder ? _recorder.getSize() : undefined,
+      suppressed: {
+        rate_limited: _limiter ? _limiter.suppressed.rate_limited : 0,
+        duplicates: _limiter ? _limiter.suppressed.duplicates : 0,
+      },
     });
   };
 
@@ -271,6 +932,7 @@ function MayanLogger(options) {
     }
 
     _level = newLevel;
+    _signalBaseLevel = null;
     return this;
   };
 
@@ -294,9 +956,38 @@ function MayanLogger(options) {
   };
 
   /**
-   * Change level of an individual collector
+   * Enable or disable tracing. Tracing shims are always installed, so this takes effect immediately.
+   * @param {boolean} enabled
+   * @return {MayanLogger}
+   */
+  this.setTracingEnabled = enabled => {
+    _tracingEnabled = !!enabled;
+    return this;
+  };
+
+  /**
+   * Enable or disable tracing for an individual collector, regardless of the logger setting.
+   * Set to undefined to make the collector follow the logger setting again.
    * @param key
-   * @param newLevel
+   * @param {boolean|undefined} enabled
+   * @return {MayanLogger}
+   */
+  this.setCollectorTracing = (key, enabled) => {
+    const collector = _collectors[key];
+    if (!collector) {
+      throw new MayanLoggerError(`Invalid collector key: ${key}`, 400);
+    }
+
+    collector.state.tracing = enabled === undefined || enabled === null ? undefined : !!enabled;
+    return this;
+  };
+
+  /**
+   * Set level rule for a collector key or a glob pattern (eg. "Db_*"). Rule also applies to collectors further
+   * down the tag hierarchy ("Service" applies to "Service_Worker"), unless they have a rule of their own.
+   * Rules can be set before collectors are created. Set level to undefined to remove the rule.
+   * @param {string} key Collector key or pattern
+   * @param {string|undefined} newLevel
    * @return {MayanLogger}
    */
   this.setCollectorLevel = (key, newLevel) => {
@@ -304,35 +995,237 @@ function MayanLogger(options) {
       throw new InvalidLogLevelError(newLevel);
     }
 
-    const collector = _collectors[key];
-    if (!collector) {
-      throw new MayanLoggerError(`Invalid collector key: ${key}`, 400);
+    putLevelRule(key, newLevel || undefined);
+    applyLevelRulesToAll();
+    return this;
+  };
+
+  /**
+   * Change sample rate for a level, either for all collectors, or for an individual collector (and collectors
+   * below it in tag hierarchy). Set rate to undefined to remove it.
+   * @param {string} level
+   * @param {number|undefined} rate Between 0 and 1
+   * @param {string} [collectorKey]
+   * @return {MayanLogger}
+   */
+  this.setSampleRate = (level, rate, collectorKey) => {
+    const remove = rate === undefined || rate === null;
+    // Validate through the options class
+    new MayanLoggerSamplingOptions({ levels: { [level]: remove ? 1 : rate } });
+
+    if (collectorKey === undefined) {
+      if (remove) {
+        delete _sampling.levels[level];
+      } else {
+        _sampling.levels[level] = rate;
+      }
+    } else {
+      const rates = _sampling.collectors[collectorKey] || (_sampling.collectors[collectorKey] = {});
+      if (remove) {
+        delete rates[level];
+      } else {
+        rates[level] = rate;
+      }
+    }
+
+    updateSamplingActive();
+    return this;
+  };
+
+  /**
+   * Wait until all buffered messages are written out. Only useful when async writing is enabled.
+   * @return {Promise}
+   */
+  this.flush = () => {
+    return flushTransports(this._transports);
+  };
+
+  /**
+   * Flush all buffered messages and close transports (eg. log files). Logger will not write anything after this.
+   * Call this before process.exit(), to make sure all logs are written out.
+   * @return {Promise}
+   */
+  this.close = () => {
+    if (_summaryTimer) {
+      clearInterval(_summaryTimer);
+      _summaryTimer = null;
+      logSuppressedSummaries();
+    }
+    _closed = true;
+    if (_stopConfigWatcher) {
+      _stopConfigWatcher();
+      _stopConfigWatcher = null;
+    }
+    if (options.level_signal) {
+      process.removeListener(options.level_signal, onLevelSignal);
+    }
+    return closeTransports(this._transports);
+  };
+
+  /**
+   * Write out everything from the flight recorder (marked as backfilled), and empty it. Useful from an
+   * uncaughtException handler, or an admin endpoint.
+   * @return {number} Number of written entries
+   */
+  this.dumpFlightRecorder = () => {
+    if (!_recorder) {
+      return 0;
+    }
+    const entries = _recorder.takeAll();
+    backfill(entries);
+    return entries.length;
+  };
+
+  /**
+   * Read the config file again and apply it live. Only level, collector_levels, enabled, tracing and redact are
+   * applied. If the file is invalid, this throws and the current config is kept.
+   * @return {MayanLogger}
+   */
+  this.reloadConfig = () => {
+    if (!options.config_file) {
+      throw new MayanLoggerError(`Logger doesn't have a config file`);
     }
 
-    collector.state.level = newLevel;
+    const next = new MayanLoggerOptions(_baseOptions);
+    next.assign(readConfigFile(options.config_file.path));
+    const redactor = next.redact ? new Redactor(next.redact) : null;
+
+    // Everything is validated, we can apply it
+    _level = next.level;
+    _signalBaseLevel = null;
+    _enabled = next.enabled;
+    _tracingEnabled = !!next.tracing.enabled;
+    options.tracing = next.tracing;
+    _redactor = redactor;
+    setOptionLevelRules(next.collector_levels);
     return this;
   };
 
+  /**
+   * Make logger one level more verbose, or go back to the starting level after trace
+   */
+  const onLevelSignal = () => {
+    if (_signalBaseLevel === null) {
+      _signalBaseLevel = _level;
+    }
+
+    const nextLevel = LOG_LEVEL_VALUES_TO_LEVELS[LOG_LEVEL_VALUES[_level] + 1];
+    if (nextLevel) {
+      _level = nextLevel;
+    } else {
+      _level = _signalBaseLevel;
+      _signalBaseLevel = null;
+    }
+    this.log.info(`Log level changed to ${_level} (${options.level_signal})`);
+  };
+
+  /**
+   * Create an HTTP handler for changing levels and tracing live. Works with node's http server and Express
+   * (handler(req, res, next)), and Koa (handler.koa).
+   * @param {MayanLoggerAdminOptions} [adminOptions]
+   */
+  this.adminHandler = adminOptions => {
+    return makeAdminHandler(this, adminOptions);
+  };
+
   /**
    * Default collector, without any tags. Can be used with logger.log.info();
    * @type {MayanLogCollector}
    */
   this.log = this.for();
 
+  if (options.config_file) {
+    const configPath = options.config_file.path;
+    _stopConfigWatcher = watchConfigFile(configPath, options.config_file.interval, () => {
+      try {
+        this.reloadConfig();
+      } catch (err) {
+        this.log.error(`Failed to reload logger config, keeping the previous one`, err);
+        return;
+      }
+      this.log.info(`Reloaded logger config from ${configPath}`);
+    });
+  }
+
+  if (options.level_signal) {
+    process.on(options.level_signal, onLevelSignal);
+  }
+
+  if (_limiter) {
+    _summaryTimer = setInterval(logSuppressedSummaries, options.rate_limit.interval);
+    _summaryTimer.unref();
+  }
+
   /**
    * A utility for tests and internal purposes
    */
   this._getInternals = () => ({
     options,
     _collectors,
+    _levelRules,
     _level,
     _enabled,
+    _tracingEnabled,
     _loggedErrors,
     _tracingTargets,
+    _tracingWrappers,
+    _contextStorage,
+    _redactor,
+    _limiter,
+    _recorder,
     _makeTimestamp,
   });
 }
 
+/**
+ * Text by which rate limiter recognizes duplicate messages. Only strings and errors are compared, other messages
+ * (eg. objects) are never considered duplicates.
+ * @param {*} message
+ * @return {string|null}
+ */
+function getDuplicateKey(message) {
+  if (typeof message === 'string') {
+    return message;
+  }
+  if (message instanceof Error) {
+    return safeToString(message.message);
+  }
+  return null;
+}
+
+/**
+ * Hash a string into a number in [0, 1), using FNV-1a with a final mix, so that similar strings (eg. "r1", "r2")
+ * still spread evenly. Same string always gives the same number.
+ * @param {string} str
+ * @return {number}
+ */
+function hashToUnit(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Convert glob pattern, where "*" matches any number of characters, into a regex
+ * @param {string} pattern
+ * @return {RegExp}
+ */
+function globToRegex(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + source + '$');
+}
+
 function makeTimestampMaker(timestamp) {
   return timestamp ? (isFunction(timestamp) ? timestamp : () => new Date()) : () => null;
 }
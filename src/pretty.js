@@ -0,0 +1,365 @@
+'use strict';
+
+const readline = require('readline');
+
+const {
+  LOG_LEVELS,
+  LOG_LEVEL_VALUES,
+  LOGGER_OUTPUTS,
+  DEFAULT_TERMINAL_COLORS,
+  MayanLoggerOptions,
+  MayanLoggerOptionsError,
+  MayanLoggerMessage,
+  MayanLogCollectorState,
+  MayanLoggerTraceInfo,
+  MayanLoggerTraceContext,
+} = require('./types');
+const { makeFormatter } = require('./formats');
+const { isObject } = require('./utils');
+
+// Keys of MayanLoggerTraceInfo and MayanLoggerTraceContext, which JSON formatter puts at the top level
+const TRACE_INFO_KEYS = Object.keys(new MayanLoggerTraceInfo());
+const TRACE_CONTEXT_KEYS = Object.keys(new MayanLoggerTraceContext());
+
+// Keys of a JSON message which map to MayanLoggerMessage. Everything else is shown as fields.
+const STANDARD_JSON_KEYS = [
+  'level',
+  'message',
+  'timestamp',
+  'tags',
+  'data',
+  'error',
+  'is_trace',
+  'sample_rate',
+  'backfilled',
+  ...TRACE_INFO_KEYS,
+  ...TRACE_CONTEXT_KEYS,
+];
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+class MayanLoggerPrettyOptions {
+  constructor(/** MayanLoggerPrettyOptions */ source) {
+    /**
+     * Only show messages at this level or more severe
+     * @type {LOG_LEVELS}
+     */
+    this.level = undefined;
+
+    /**
+     * Only show messages which have at least one of these tags
+     * @type {string[]}
+     */
+    this.tags = [];
+
+    /**
+     * Only show messages logged at or after this time
+     * @type {Date}
+     */
+    this.since = undefined;
+
+    /**
+     * Only show messages logged at or before this time
+     * @type {Date}
+     */
+    this.until = undefined;
+
+    /**
+     * Only show messages whose text or original line matches this regex
+     * @type {RegExp}
+     */
+    this.grep = undefined;
+
+    /**
+     * Set to false to render without colors
+     * @type {boolean}
+     */
+    this.colors = true;
+
+    /**
+     * Indent multiline messages
+     * @type {boolean}
+     */
+    this.indent_multiline = true;
+
+    /**
+     * Additional filter, which gets the parsed JSON payload (eg. compiled from a query expression)
+     * @type {function(Object): boolean}
+     */
+    this.where = undefined;
+
+    /**
+     * Print lines which aren't JSON log messages as they are. If false, they are skipped.
+     * @type {boolean}
+     */
+    this.passthrough = true;
+
+    /**
+     * Print matching messages as original JSON lines, instead of terminal format
+     * @type {boolean}
+     */
+    this.json = false;
+
+    Object.assign(this, source);
+
+    if (this.level && !LOG_LEVELS[this.level]) {
+      throw new MayanLoggerOptionsError(`Invalid level: ${this.level}`);
+    }
+  }
+}
+
+/**
+ * Parse a line of JSON logger output. Returns null if line isn't a JSON log message.
+ * @param {string} line
+ * @return {Object|null}
+ */
+function parseJSONLogPayload(line) {
+  if (!line.startsWith('{')) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(line);
+  } catch (err) {
+    return null;
+  }
+  if (!isObject(payload) || !LOG_LEVELS[payload.level]) {
+    return null;
+  }
+  return payload;
+}
+
+/**
+ * Turn parsed JSON payload back into a message
+ * @param {Object} payload
+ * @return {MayanLoggerMessage}
+ */
+function payloadToMessage(payload) {
+  const fields = {};
+  for (const key of Object.keys(payload)) {
+    if (!STANDARD_JSON_KEYS.includes(key)) {
+      fields[key] = payload[key];
+    }
+  }
+
+  let message = typeof payload.message === 'string' ? payload.message : '';
+  if (isObject(payload.error) && payload.error.message === message) {
+    // JSON formatter transplants error message into message. Undo that, so we don't show it twice.
+    message = '';
+  }
+
+  let timestamp = payload.timestamp ? new Date(payload.timestamp) : undefined;
+  if (timestamp && isNaN(timestamp.getTime())) {
+    timestamp = undefined;
+  }
+
+  const msg = new MayanLoggerMessage(
+    new MayanLogCollectorState({
+      tags: Array.isArray(payload.tags) ? payload.tags.map(String) : [],
+    }),
+    payload.level,
+    message,
+    payload.error || undefined,
+    Array.isArray(payload.data) ? payload.data : payload.data === undefined ? [] : [payload.data],
+    timestamp,
+    !!payload.is_trace,
+    fields,
+    pickKeys(payload, TRACE_INFO_KEYS, MayanLoggerTraceInfo),
+    pickKeys(payload, TRACE_CONTEXT_KEYS, MayanLoggerTraceContext),
+    typeof payload.sample_rate === 'number' ? payload.sample_rate : undefined
+  );
+  if (payload.backfilled === true) {
+    msg.backfilled = true;
+  }
+  return msg;
+}
+
+/**
+ * Collect given keys from payload into a new instance of Class. Returns undefined if payload has none of them.
+ * @template T
+ * @param {Object} payload
+ * @param {string[]} keys
+ * @param {function(new:T, Object)} Class
+ * @return {T}
+ */
+function pickKeys(payload, keys, Class) {
+  let source = null;
+  for (const key of keys) {
+    if (payload[key] !== undefined) {
+      source = source || {};
+      source[key] = payload[key];
+    }
+  }
+  return source ? new Class(source) : undefined;
+}
+
+/**
+ * Parse a line of JSON logger output back into a message. Returns null if line isn't a JSON log message.
+ * @param {string} line
+ * @return {MayanLoggerMessage|null}
+ */
+function parseJSONLogLine(line) {
+  const payload = parseJSONLogPayload(line);
+  return payload && payloadToMessage(payload);
+}
+
+/**
+ * Parse time given on command line. Either a date string or a duration, counting back from now (eg. 15m, 2h, 1d).
+ * @param {string} str
+ * @param {number} [now]
+ * @return {Date}
+ */
+function parseTime(str, now = Date.now()) {
+  const duration = parseDuration(str);
+  if (duration !== null) {
+    return new Date(now - duration);
+  }
+
+  const date = new Date(str);
+  if (isNaN(date.getTime())) {
+    throw new MayanLoggerOptionsError(
+      `Invalid time: "${str}". Use a date (eg. 2020-08-22T21:34:42Z) or a duration (eg. 30s, 15m, 2h, 1d)`
+    );
+  }
+  return date;
+}
+
+/**
+ * Parse duration, like 30s, 15m, 2h or 1d, into milliseconds. Returns null if string isn't a duration.
+ * @param {string} str
+ * @return {number|null}
+ */
+function parseDuration(str) {
+  const match = /^(\d+(?:\.\d+)?)([smhd])$/.exec(str);
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Create a function which tells whether parsed message passes the filters
+ * @param {MayanLoggerPrettyOptions} options
+ * @return {function(MayanLoggerMessage, string, Object): boolean}
+ */
+function makeMessageFilter(options) {
+  return (msg, line, payload) => {
+    if (options.level && LOG_LEVEL_VALUES[msg.level] > LOG_LEVEL_VALUES[options.level]) {
+      return false;
+    }
+    if (options.tags.length && !options.tags.some(tag => msg.collector.tags.includes(tag))) {
+      return false;
+    }
+    if (options.since || options.until) {
+      // Without timestamp, we can't tell whether message is in range
+      if (!msg.timestamp) {
+        return false;
+      }
+      if (options.since && msg.timestamp < options.since) {
+        return false;
+      }
+      if (options.until && msg.timestamp > options.until) {
+        return false;
+      }
+    }
+    if (options.grep) {
+      options.grep.lastIndex = 0;
+      const matchesMessage = options.grep.test(
+        msg.message || (msg.error && msg.error.message) || ''
+      );
+      options.grep.lastIndex = 0;
+      if (!matchesMessage && !options.grep.test(line)) {
+        return false;
+      }
+    }
+    if (options.where && !options.where(payload)) {
+      return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Create a function which turns a line of logger JSON output into terminal output, using the same formatting as
+ * the logger itself. Returns null for messages that should be skipped. Lines which aren't JSON messages are
+ * returned unchanged.
+ * @param {MayanLoggerPrettyOptions} options
+ * @return {function(string): string|null}
+ */
+function makeLinePrettifier(options) {
+  const loggerOptions = new MayanLoggerOptions({
+    output: LOGGER_OUTPUTS.terminal,
+    indent_multiline: options.indent_multiline,
+    terminal_data: { colors: options.colors },
+  });
+  if (!options.colors) {
+    loggerOptions.terminal_colors = Object.keys(DEFAULT_TERMINAL_COLORS).reduce((colors, key) => {
+      colors[key] = null;
+      return colors;
+    }, {});
+  }
+
+  const format = makeFormatter(loggerOptions);
+  const filter = makeMessageFilter(options);
+
+  return line => {
+    const payload = parseJSONLogPayload(line);
+    if (!payload) {
+      return options.passthrough ? line : null;
+    }
+    const msg = payloadToMessage(payload);
+    if (!filter(msg, line, payload)) {
+      return null;
+    }
+    return options.json ? line : format(msg);
+  };
+}
+
+/**
+ * Call onLine for each line of the input stream. Resolves once the stream ends.
+ * @param {ReadableStream} input
+ * @param {function(string)} onLine
+ * @return {Promise}
+ */
+function readLines(input, onLine) {
+  return new Promise((resolve, reject) => {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    input.on('error', reject);
+    lines.on('error', reject);
+    lines.on('line', onLine);
+    lines.on('close', resolve);
+  });
+}
+
+/**
+ * Read JSON log lines from input stream, and write them out prettified into output stream
+ * @param {ReadableStream} input
+ * @param {WritableStream} output
+ * @param {MayanLoggerPrettyOptions} options
+ * @return {Promise}
+ */
+function prettyPrintStream(input, output, options) {
+  const prettify = makeLinePrettifier(options);
+  return readLines(input, line => {
+    const result = prettify(line);
+    if (result !== null) {
+      output.write(result + '\n');
+    }
+  });
+}
+
+module.exports = {
+  MayanLoggerPrettyOptions,
+  parseJSONLogPayload,
+  payloadToMessage,
+  parseJSONLogLine,
+  parseTime,
+  parseDuration,
+  makeMessageFilter,
+  makeLinePrettifier,
+  readLines,
+  prettyPrintStream,
+};
@@ -0,0 +1,448 @@
+'use strict';
+
+const { LOG_LEVELS, LOG_LEVEL_VALUES, MayanLoggerOptionsError } = require('./types');
+const { parseTime } = require('./pretty');
+
+const COMPARISON_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', '~', 'has'];
+
+const KEYWORDS = ['and', 'or', 'not', 'has'];
+
+// *********************************************************************************************************************
+
+/**
+ * Compile a query expression into a predicate, which takes a JSON log payload (as produced by formatAsJSON).
+ *
+ * Examples:
+ *   level>=warn and tags has "Db" and data.userId=42
+ *   not is_trace and (error.message ~ "timeout" or timestamp > 2h)
+ *
+ * Paths go through arrays, so "data.userId" looks into every data argument.
+ * @param {string} expression
+ * @return {function(Object): boolean}
+ */
+function compileQuery(expression) {
+  const parser = new QueryParser(expression);
+  return parser.parse();
+}
+
+/**
+ * Split expression into tokens
+ * @param {string} expression
+ * @return {Array<{type: string, value: *, position: number}>}
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const regex = /(\()|(\))|(>=|<=|!=|==|=|>|<|~)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()=!<>~"']+)/y;
+  let position = 0;
+  while (position < expression.length) {
+    if (/\s/.test(expression[position])) {
+      position++;
+      continue;
+    }
+
+    regex.lastIndex = position;
+    const match = regex.exec(expression);
+    if (!match) {
+      throw new MayanLoggerOptionsError(
+        `Invalid query: unexpected character at ${position + 1}: "${expression.slice(position)}"`
+      );
+    }
+
+    const start = position;
+    if (match[1] || match[2]) {
+      tokens.push({ type: match[1] ? '(' : ')', position: start });
+    } else if (match[3]) {
+      tokens.push({ type: 'operator', value: match[3] === '==' ? '=' : match[3], position: start });
+    } else if (match[4] !== undefined || match[5] !== undefined) {
+      const raw = match[4] !== undefined ? match[4] : match[5];
+      tokens.push({ type: 'string', value: raw.replace(/\\(.)/g, '$1'), position: start });
+    } else {
+      const word = match[6];
+      const lower = word.toLowerCase();
+      if (KEYWORDS.includes(lower)) {
+        tokens.push({
+          type: lower === 'has' ? 'operator' : lower,
+          value: lower,
+          position: start,
+        });
+      } else {
+        tokens.push({ type: 'word', value: word, position: start });
+      }
+    }
+    position = regex.lastIndex;
+  }
+  return tokens;
+}
+
+class QueryParser {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.index = 0;
+  }
+
+  parse() {
+    if (!this.tokens.length) {
+      throw new MayanLoggerOptionsError(`Invalid query: expression is empty`);
+    }
+    const predicate = this._or();
+    if (this.index < this.tokens.length) {
+      this._fail(this.tokens[this.index], 'unexpected');
+    }
+    return predicate;
+  }
+
+  _peek(type) {
+    const token = this.tokens[this.index];
+    return token && token.type === type ? token : null;
+  }
+
+  _take(type) {
+    const token = this._peek(type);
+    if (token) {
+      this.index++;
+    }
+    return token;
+  }
+
+  _fail(token, problem) {
+    const where = token
+      ? `"${this.expression.slice(token.position)}" (at ${token.position + 1})`
+      : 'end of expression';
+    throw new MayanLoggerOptionsError(`Invalid query: ${problem} ${where}`);
+  }
+
+  _or() {
+    const parts = [this._and()];
+    while (this._take('or')) {
+      parts.push(this._and());
+    }
+    return parts.length === 1 ? parts[0] : payload => parts.some(part => part(payload));
+  }
+
+  _and() {
+    const parts = [this._not()];
+    while (this._take('and')) {
+      parts.push(this._not());
+    }
+    return parts.length === 1 ? parts[0] : payload => parts.every(part => part(payload));
+  }
+
+  _not() {
+    if (this._take('not')) {
+      const inner = this._not();
+      return payload => !inner(payload);
+    }
+    return this._primary();
+  }
+
+  _primary() {
+    if (this._take('(')) {
+      const inner = this._or();
+      if (!this._take(')')) {
+        this._fail(this.tokens[this.index], 'expected ")" at');
+      }
+      return inner;
+    }
+
+    const pathToken = this._take('word');
+    if (!pathToken) {
+      this._fail(this.tokens[this.index], 'expected field name at');
+    }
+    const path = pathToken.value.split('.');
+
+    const operatorToken = this._take('operator');
+    if (!operatorToken) {
+      // Just a field name, check that it has a value
+      return payload => resolvePath(payload, path).some(isTruthy);
+    }
+
+    const valueToken = this._take('word') || this._take('string');
+    if (!valueToken) {
+      this._fail(this.tokens[this.index], `expected value after "${operatorToken.value}" at`);
+    }
+
+    return makeComparison(path, operatorToken.value, valueToken);
+  }
+}
+
+/**
+ * Make predicate which compares value(s) at path with given literal
+ * @param {string[]} path
+ * @param {string} operator
+ * @param {{type: string, value: string}} valueToken
+ * @return {function(Object): boolean}
+ */
+function makeComparison(path, operator, valueToken) {
+  const literal = valueToken.type === 'word' ? parseLiteral(valueToken.value) : valueToken.value;
+
+  // Levels and timestamps are compared by severity and time, instead of as strings
+  let convert = null;
+  let expected = literal;
+  if (path.length === 1 && path[0] === 'level') {
+    if (!LOG_LEVELS[literal]) {
+      throw new MayanLoggerOptionsError(`Invalid query: "${literal}" is not a valid level`);
+    }
+    convert = value => (LOG_LEVELS[value] ? -LOG_LEVEL_VALUES[value] : undefined);
+    expected = convert(literal);
+  } else if (path.length === 1 && path[0] === 'timestamp') {
+    convert = value => {
+      const time = new Date(value).getTime();
+      return isNaN(time) ? undefined : time;
+    };
+    expected = parseTime(String(literal)).getTime();
+  }
+
+  let regex = null;
+  if (operator === '~') {
+    try {
+      regex = new RegExp(String(literal), 'i');
+    } catch (err) {
+      throw new MayanLoggerOptionsError(
+        `Invalid query: invalid regex "${literal}": ${err.message}`
+      );
+    }
+  }
+
+  const matchesOne = value => {
+    if (convert) {
+      value = convert(value);
+      if (value === undefined) {
+        return false;
+      }
+    }
+
+    switch (operator) {
+      case '=':
+      case '!=':
+        // "!=" is negated by the caller, so it is true only if none of the values are equal
+        return looseEquals(value, expected);
+      case '>':
+        return compare(value, expected) > 0;
+      case '>=':
+        return compare(value, expected) >= 0;
+      case '<':
+        return compare(value, expected) < 0;
+      case '<=':
+        return compare(value, expected) <= 0;
+      case '~':
+        return regex.test(typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    return false;
+  };
+
+  if (operator === 'has') {
+    return payload =>
+      resolvePath(payload, path).some(value =>
+        Array.isArray(value)
+          ? value.some(item => looseEquals(item, expected))
+          : typeof value === 'string' && value.includes(String(expected))
+      );
+  }
+
+  if (operator === '!=') {
+    return payload => !expandArrays(resolvePath(payload, path)).some(matchesOne);
+  }
+
+  if (!COMPARISON_OPERATORS.includes(operator)) {
+    throw new MayanLoggerOptionsError(`Invalid query: unknown operator "${operator}"`);
+  }
+
+  return payload => expandArrays(resolvePath(payload, path)).some(matchesOne);
+}
+
+function parseLiteral(word) {
+  if (/^-?\d+(\.\d+)?$/.test(word)) {
+    return Number(word);
+  }
+  switch (word) {
+    case 'true':
+      return true;
+    case 'false':
+      return false;
+    case 'null':
+      return null;
+  }
+  return word;
+}
+
+function looseEquals(value, expected) {
+  if (value === expected) {
+    return true;
+  }
+  if (value === null || expected === null || typeof value === 'object') {
+    return false;
+  }
+  return String(value) === String(expected);
+}
+
+function compare(value, expected) {
+  const a = typeof value === 'number' ? value : Number(value);
+  const b = typeof expected === 'number' ? expected : Number(expected);
+  if (!isNaN(a) && !isNaN(b) && value !== '' && value !== null) {
+    return a - b;
+  }
+  const strA = String(value);
+  const strB = String(expected);
+  return strA < strB ? -1 : strA > strB ? 1 : 0;
+}
+
+function isTruthy(value) {
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+function expandArrays(values) {
+  const result = [];
+  for (const value of values) {
+    if (Array.isArray(value)) {
+      result.push(...value);
+    } else {
+      result.push(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Get all values at path. When going through an array, values are collected from all of its items.
+ * @param {*} value
+ * @param {string[]} path
+ * @return {Array}
+ */
+function resolvePath(value, path) {
+  let current = [value];
+  for (const segment of path) {
+    const next = [];
+    for (const item of current) {
+      if (Array.isArray(item) && !/^\d+$/.test(segment)) {
+        for (const element of item) {
+          if (element && typeof element === 'object' && hasOwn(element, segment)) {
+            next.push(element[segment]);
+          }
+        }
+      } else if (item && typeof item === 'object' && hasOwn(item, segment)) {
+        next.push(item[segment]);
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// *********************************************************************************************************************
+
+const COUNT_BY = {
+  level: 'level',
+  tag: 'tag',
+  error: 'error',
+};
+
+/**
+ * Counts messages by level, tag, error message or any other field, optionally in time buckets
+ */
+class LogCounter {
+  /**
+   * @param {string} countBy One of COUNT_BY, or a field path
+   * @param {number} [bucketMs] Size of time buckets. If not given, everything is counted together.
+   */
+  constructor(countBy, bucketMs) {
+    this.countBy = countBy;
+    this.bucketMs = bucketMs || 0;
+
+    /** @type {Map<string, {bucket: number|undefined, key: string, count: number}>} */
+    this.counts = new Map();
+
+    this._path = COUNT_BY[countBy] ? null : countBy.split('.');
+  }
+
+  /**
+   * @param {Object} payload Parsed JSON log message
+   */
+  add(payload) {
+    let bucket;
+    if (this.bucketMs) {
+      const time = new Date(payload.timestamp).getTime();
+      if (isNaN(time)) {
+        // Can't place it in time
+        return;
+      }
+      bucket = Math.floor(time / this.bucketMs) * this.bucketMs;
+    }
+
+    for (const key of this._getKeys(payload)) {
+      const id = bucket + '\n' + key;
+      const row = this.counts.get(id);
+      if (row) {
+        row.count++;
+      } else {
+        this.counts.set(id, { bucket, key, count: 1 });
+      }
+    }
+  }
+
+  _getKeys(payload) {
+    switch (this.countBy) {
+      case COUNT_BY.level:
+        return [payload.level];
+      case COUNT_BY.tag:
+        return Array.isArray(payload.tags) && payload.tags.length ? payload.tags : ['(none)'];
+      case COUNT_BY.error: {
+        const error = payload.error;
+        if (!error) {
+          return [];
+        }
+        return [String((typeof error === 'object' && error.message) || error)];
+      }
+    }
+
+    const values = expandArrays(resolvePath(payload, this._path));
+    return values.length
+      ? [typeof values[0] === 'string' ? values[0] : JSON.stringify(values[0])]
+      : ['(none)'];
+  }
+
+  /**
+   * Get counted rows, sorted by time bucket, then by count (descending)
+   * @return {Array<{bucket: Date|undefined, key: string, count: number}>}
+   */
+  getRows() {
+    return Array.from(this.counts.values())
+      .sort(
+        (a, b) => (a.bucket || 0) - (b.bucket || 0) || b.count - a.count || (a.key < b.key ? -1 : 1)
+      )
+      .map(row => ({
+        bucket: row.bucket === undefined ? undefined : new Date(row.bucket),
+        key: row.key,
+        count: row.count,
+      }));
+  }
+
+  /**
+   * Render counts as an aligned text table
+   * @return {string}
+   */
+  formatTable() {
+    const rows = this.getRows();
+    const keyWidth = rows.reduce((max, row) => Math.max(max, row.key.length), 0);
+    return rows
+      .map(
+        row =>
+          (row.bucket ? row.bucket.toISOString() + '  ' : '') +
+          row.key.padEnd(keyWidth) +
+          '  ' +
+          row.count
+      )
+      .join('\n');
+  }
+}
+
+module.exports = {
+  COUNT_BY,
+  compileQuery,
+  resolvePath,
+  LogCounter,
+};
@@ -0,0 +1,168 @@
+'use strict';
+
+const { LOG_LEVELS, LOG_LEVEL_VALUES } = require('./types');
+
+/**
+ * What was logged, before it is turned into a message. This is kept as-is, so recording is cheap.
+ * @typedef {object} FlightRecorderEntry
+ * @property {MayanLogCollectorState} collector
+ * @property {string} level
+ * @property {*} message
+ * @property {Array} args
+ * @property {MayanLoggerTraceInfo} trace
+ * @property {boolean} is_trace
+ * @property {{fields: Object, span: MayanLoggerTraceContext}} context Async context at the time of logging
+ * @property {Object} fields
+ * @property {Date} timestamp
+ */
+
+/**
+ * Most nodes we will visit when estimating size of a logged value
+ */
+const SIZE_ESTIMATE_BUDGET = 100;
+
+/**
+ * Fixed size we add for each entry, for level, timestamp and other standard keys
+ */
+const ENTRY_OVERHEAD = 100;
+
+/**
+ * Keeps recent messages which were below the active level, in bounded ring buffers, so they can be written out
+ * later if something goes wrong.
+ */
+class FlightRecorder {
+  /**
+   * @param {MayanLoggerFlightRecorderOptions} options
+   */
+  constructor(options) {
+    this.options = options;
+
+    /**
+     * Buffers, by key (see RECORDER_SCOPES). Map order is used to evict the least recently used buffer.
+     * @type {Map<string, {entries: Array<{entry: FlightRecorderEntry, seq: number, size: number}>, bytes: number}>}
+     */
+    this._buffers = new Map();
+
+    this._seq = 0;
+  }
+
+  /**
+   * Returns true if messages at given level should be recorded
+   * @param {string} level
+   */
+  accepts(level) {
+    return (
+      level !== LOG_LEVELS.silent && LOG_LEVEL_VALUES[level] <= LOG_LEVEL_VALUES[this.options.level]
+    );
+  }
+
+  /**
+   * @param {FlightRecorderEntry} entry
+   * @param {string} key
+   */
+  record(entry, key) {
+    let buffer = this._buffers.get(key);
+    if (buffer) {
+      // Mark as recently used
+      this._buffers.delete(key);
+    } else {
+      buffer = { entries: [], bytes: 0 };
+      if (this._buffers.size >= this.options.max_buffers) {
+        this._buffers.delete(this._buffers.keys().next().value);
+      }
+    }
+    this._buffers.set(key, buffer);
+
+    const size = estimateEntrySize(entry);
+    buffer.entries.push({ entry, seq: ++this._seq, size });
+    buffer.bytes += size;
+    while (
+      buffer.entries.length > this.options.max_entries ||
+      (buffer.bytes > this.options.max_bytes && buffer.entries.length > 1)
+    ) {
+      buffer.bytes -= buffer.entries.shift().size;
+    }
+  }
+
+  /**
+   * Remove and return entries from buffer with given key
+   * @param {string} key
+   * @return {FlightRecorderEntry[]}
+   */
+  take(key) {
+    const buffer = this._buffers.get(key);
+    if (!buffer) {
+      return [];
+    }
+    this._buffers.delete(key);
+    return buffer.entries.map(item => item.entry);
+  }
+
+  /**
+   * Remove and return entries from all buffers, in the order they were recorded
+   * @return {FlightRecorderEntry[]}
+   */
+  takeAll() {
+    const items = [];
+    for (const buffer of this._buffers.values()) {
+      items.push(...buffer.entries);
+    }
+    this._buffers.clear();
+    return items.sort((a, b) => a.seq - b.seq).map(item => item.entry);
+  }
+
+  /**
+   * Number of recorded entries and their estimated size
+   * @return {{entries: number, bytes: number}}
+   */
+  getSize() {
+    let entries = 0;
+    let bytes = 0;
+    for (const buffer of this._buffers.values()) {
+      entries += buffer.entries.length;
+      bytes += buffer.bytes;
+    }
+    return { entries, bytes };
+  }
+}
+
+/**
+ * Roughly estimate how many bytes an entry would take when written out, without actually formatting it
+ * @param {FlightRecorderEntry} entry
+ */
+function estimateEntrySize(entry) {
+  let size = ENTRY_OVERHEAD;
+  let budget = SIZE_ESTIMATE_BUDGET;
+
+  const visit = value => {
+    if (budget-- <= 0) {
+      return;
+    }
+    if (typeof value === 'string') {
+      size += value.length;
+    } else if (value && typeof value === 'object') {
+      try {
+        for (const key in value) {
+          if (budget <= 0) {
+            break;
+          }
+          size += key.length + 4;
+          visit(value[key]);
+        }
+      } catch (err) {
+        // Throwing getter or proxy. Serializer will deal with it, we just stop counting.
+      }
+    } else if (typeof value !== 'function') {
+      size += 8;
+    }
+  };
+
+  const message = entry.message;
+  visit(message instanceof Error ? message.stack || message.message : message);
+  visit(entry.args);
+  return size;
+}
+
+module.exports = {
+  FlightRecorder,
+};
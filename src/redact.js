@@ -0,0 +1,183 @@
+'use strict';
+
+const { isObject } = require('./utils');
+
+/**
+ * Redaction will not go deeper than this into nested objects
+ */
+const MAX_REDACT_DEPTH = 10;
+
+/**
+ * Removes sensitive data (passwords, tokens...) from values that are about to be logged.
+ * Values are never mutated; if something needs to be redacted, we return a modified copy.
+ */
+class Redactor {
+  /**
+   * @param {MayanLoggerRedactOptions} options
+   */
+  constructor(options) {
+    this.censor = options.censor;
+
+    /** Lower-cased key names that should be redacted wherever they are */
+    this.keys = new Set(options.keys.map(key => String(key).toLowerCase()));
+
+    /** Dotted paths, split into segments. "*" matches any single segment. */
+    this.paths = options.paths.map(path => ({ segments: String(path).split('.'), index: 0 }));
+
+    /** Patterns to replace inside string values */
+    this.values = options.values.map(
+      regex => new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g')
+    );
+  }
+
+  /**
+   * Redact any value (data argument, error, bound fields...). Errors are copied with the same prototype,
+   * message and stack, so only their enumerable properties are redacted.
+   * @template T
+   * @param {T} value
+   * @return T
+   */
+  redact(value) {
+    return this._redactValue(value, this.paths, new Set(), 0);
+  }
+
+  /**
+   * @param {*} value
+   * @param {Array<{segments: string[], index: number}>} activePaths Paths whose beginning matches current location
+   * @param {Set} visiting Objects we are currently inside of, to prevent endless recursion on circular references
+   * @param {number} depth
+   */
+  _redactValue(value, activePaths, visiting, depth) {
+    if (typeof value === 'string') {
+      return this._redactString(value);
+    }
+
+    if (
+      !isObject(value) ||
+      visiting.has(value) ||
+      depth >= MAX_REDACT_DEPTH ||
+      !isRedactable(value)
+    ) {
+      return value;
+    }
+
+    visiting.add(value);
+    try {
+      if (value instanceof Map) {
+        return this._redactMap(value, activePaths, visiting, depth);
+      }
+      return this._redactObject(value, activePaths, visiting, depth);
+    } finally {
+      visiting.delete(value);
+    }
+  }
+
+  _redactString(str) {
+    let result = str;
+    for (const regex of this.values) {
+      regex.lastIndex = 0;
+      result = result.replace(regex, this.censor);
+    }
+    return result;
+  }
+
+  /**
+   * Returns redacted value of a property, or censor string if the whole property should be censored
+   */
+  _redactProperty(key, value, activePaths, visiting, depth) {
+    let censored = this.keys.has(String(key).toLowerCase());
+
+    const nextPaths = [];
+    for (const path of activePaths) {
+      const segment = path.segments[path.index];
+      if (segment === '*' || segment === String(key)) {
+        if (path.index === path.segments.length - 1) {
+          censored = true;
+        } else {
+          nextPaths.push({ segments: path.segments, index: path.index + 1 });
+        }
+      }
+    }
+
+    if (censored) {
+      return this.censor;
+    }
+
+    return this._redactValue(value, nextPaths, visiting, depth + 1);
+  }
+
+  _redactObject(obj, activePaths, visiting, depth) {
+    let copy = null;
+
+    const keys = Object.keys(obj);
+    for (const key of keys) {
+      let propValue;
+      try {
+        propValue = obj[key];
+      } catch (err) {
+        // Throwing getter, nothing we can do here
+        continue;
+      }
+
+      const redacted = this._redactProperty(key, propValue, activePaths, visiting, depth);
+      if (redacted !== propValue) {
+        if (!copy) {
+          copy = cloneShallow(obj);
+        }
+        copy[key] = redacted;
+      }
+    }
+
+    return copy || obj;
+  }
+
+  _redactMap(map, activePaths, visiting, depth) {
+    let changed = false;
+    const entries = [];
+    for (const [key, entryValue] of map) {
+      const redacted = this._redactProperty(key, entryValue, activePaths, visiting, depth);
+      changed = changed || redacted !== entryValue;
+      entries.push([key, redacted]);
+    }
+    return changed ? new Map(entries) : map;
+  }
+}
+
+/**
+ * Only plain objects, arrays, maps, errors and class instances are worth walking through. Things like buffers and
+ * dates can't contain anything we would redact.
+ */
+function isRedactable(value) {
+  return !(
+    value instanceof Date ||
+    value instanceof RegExp ||
+    value instanceof Set ||
+    value instanceof Promise ||
+    ArrayBuffer.isView(value) ||
+    value instanceof ArrayBuffer
+  );
+}
+
+/**
+ * Make a shallow copy of an object, keeping its prototype. Errors keep their message and stack.
+ */
+function cloneShallow(obj) {
+  if (Array.isArray(obj)) {
+    return obj.slice();
+  }
+
+  const copy = Object.create(Object.getPrototypeOf(obj));
+  for (const key of Object.getOwnPropertyNames(obj)) {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if ('value' in descriptor) {
+      descriptor.writable = true;
+    }
+    descriptor.configurable = true;
+    Object.defineProperty(copy, key, descriptor);
+  }
+  return copy;
+}
+
+module.exports = {
+  Redactor,
+};
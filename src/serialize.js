@@ -0,0 +1,256 @@
+'use strict';
+
+const libUtil = require('util');
+
+const { isObject, isFunction } = require('./utils');
+
+/**
+ * Turns any value into a JSON string, without ever throwing. Handles circular references, BigInts, Maps, Sets,
+ * Buffers, typed arrays, Symbols, throwing getters and toJSON methods, and enforces depth, key count and total
+ * size limits, with truncation markers where something was left out.
+ * @param {*} value
+ * @param {MayanLoggerJSONOptions} limits
+ * @return {string}
+ */
+function safeStringify(value, limits) {
+  try {
+    return JSON.stringify(new Serializer(limits).serialize(value, 0));
+  } catch (err) {
+    // Should never happen, but just in case
+    return JSON.stringify({
+      message: `[Failed to serialize log message: ${err && err.message}]`,
+    });
+  }
+}
+
+/**
+ * Converts values into a tree that is safe to give to JSON.stringify.
+ * Single use, as it keeps track of the remaining size budget.
+ */
+class Serializer {
+  /**
+   * @param {MayanLoggerJSONOptions} limits
+   */
+  constructor(limits) {
+    this.limits = limits;
+
+    /** How many more characters we are allowed to produce (roughly) */
+    this.budget = limits.max_length;
+
+    /** Objects we are currently inside of, for detecting circular references */
+    this.ancestors = [];
+  }
+
+  serialize(value, depth) {
+    if (this.budget <= 0) {
+      return '[Truncated]';
+    }
+
+    switch (typeof value) {
+      case 'string':
+        return this._string(value);
+      case 'number':
+      case 'boolean':
+        this.budget -= 6;
+        return value;
+      case 'bigint':
+        return this._string(value.toString());
+      case 'symbol':
+        return this._string(value.toString());
+      case 'function':
+        return this._string(`[Function: ${value.name || 'anonymous'}]`);
+      case 'undefined':
+        return undefined;
+    }
+
+    if (value === null) {
+      this.budget -= 4;
+      return null;
+    }
+
+    if (this.ancestors.includes(value)) {
+      return '[Circular]';
+    }
+
+    const special = this._special(value);
+    if (special !== NOT_SPECIAL) {
+      return special;
+    }
+
+    if (depth >= this.limits.max_depth) {
+      return Array.isArray(value) ? '[Array]' : '[Object]';
+    }
+
+    this.ancestors.push(value);
+    try {
+      if (value instanceof Error) {
+        return this._error(value, depth);
+      }
+
+      if (isFunction(value.toJSON)) {
+        // Let object decide its own JSON representation (but we still make sure the result is safe)
+        const json = this._read(() => value.toJSON());
+        return isObject(json) && json === value
+          ? this._object(value, depth)
+          : this.serialize(json, depth);
+      }
+
+      if (Array.isArray(value)) {
+        return this._array(value, depth);
+      }
+
+      if (value instanceof Set) {
+        return this._array(Array.from(value), depth);
+      }
+
+      if (value instanceof Map) {
+        return this._map(value, depth);
+      }
+
+      if (ArrayBuffer.isView(value)) {
+        return this._array(Array.from(value), depth);
+      }
+
+      return this._object(value, depth);
+    } finally {
+      this.ancestors.pop();
+    }
+  }
+
+  /**
+   * Handle values that have a simple string representation
+   */
+  _special(value) {
+    if (Buffer.isBuffer(value)) {
+      return this._string(libUtil.inspect(value));
+    }
+    if (value instanceof ArrayBuffer) {
+      return this._string(`[ArrayBuffer: ${value.byteLength} bytes]`);
+    }
+    if (value instanceof Date) {
+      return this._string(isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString());
+    }
+    if (value instanceof RegExp) {
+      return this._string(value.toString());
+    }
+    if (value instanceof Promise || value instanceof WeakMap || value instanceof WeakSet) {
+      return this._string(`[${value.constructor.name}]`);
+    }
+    return NOT_SPECIAL;
+  }
+
+  _string(str) {
+    if (str.length > this.budget) {
+      str = str.slice(0, Math.max(this.budget, 0)) + '...[Truncated]';
+    }
+    this.budget -= str.length + 2;
+    return str;
+  }
+
+  _read(getter) {
+    try {
+      return getter();
+    } catch (err) {
+      return `[Throws: ${err && err.message}]`;
+    }
+  }
+
+  _array(arr, depth) {
+    const result = [];
+    const count = Math.min(arr.length, this.limits.max_keys);
+    for (let i = 0; i < count; i++) {
+      if (this.budget <= 0) {
+        result.push(`... ${arr.length - i} more items`);
+        return result;
+      }
+      const item = this.serialize(arr[i], depth + 1);
+      result.push(item === undefined ? null : item);
+    }
+    if (arr.length > count) {
+      result.push(this._string(`... ${arr.length - count} more items`));
+    }
+    return result;
+  }
+
+  _map(map, depth) {
+    const result = {};
+    let count = 0;
+    for (const [key, value] of map) {
+      if (count >= this.limits.max_keys || this.budget <= 0) {
+        result['...'] = `${map.size - count} more keys`;
+        break;
+      }
+      result[typeof key === 'string' ? key : this._keyToString(key)] = this.serialize(
+        value,
+        depth + 1
+      );
+      count++;
+    }
+    return result;
+  }
+
+  _object(obj, depth) {
+    const result = {};
+    const keys = Object.keys(obj);
+    const count = Math.min(keys.length, this.limits.max_keys);
+    for (let i = 0; i < count; i++) {
+      if (this.budget <= 0) {
+        result['...'] = `${keys.length - i} more keys`;
+        return result;
+      }
+      const key = keys[i];
+      this.budget -= key.length + 3;
+      result[key] = this.serialize(
+        this._read(() => obj[key]),
+        depth + 1
+      );
+    }
+    if (keys.length > count) {
+      result['...'] = `${keys.length - count} more keys`;
+    }
+    return result;
+  }
+
+  _error(err, depth) {
+    const result = this._object(err, depth);
+    result.message = this.serialize(
+      this._read(() => err.message),
+      depth + 1
+    );
+    result.stack = this.serialize(
+      this._read(() => err.stack),
+      depth + 1
+    );
+
+    // These are usually non-enumerable, so we must pick them up explicitly. Cycles are caught through ancestors.
+    const cause = this._read(() => err.cause);
+    if (cause !== undefined) {
+      result.cause = this.serialize(cause, depth + 1);
+    }
+    const errors = this._read(() => err.errors);
+    if (Array.isArray(errors)) {
+      result.errors = this.serialize(errors, depth + 1);
+    }
+
+    return result;
+  }
+
+  _keyToString(key) {
+    try {
+      return typeof key === 'symbol'
+        ? key.toString()
+        : isObject(key)
+        ? libUtil.inspect(key, { depth: 0 })
+        : String(key);
+    } catch (err) {
+      return '[Key]';
+    }
+  }
+}
+
+const NOT_SPECIAL = {};
+
+module.exports = {
+  safeStringify,
+  Serializer,
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const { MayanLoggerTraceContext } = require('./types');
+
+// https://www.w3.org/TR/trace-context/#traceparent-header-field-values
+const TRACEPARENT_REGEX = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+const TRACE_FLAG_SAMPLED = '01';
+
+function generateTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function generateSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Parse a W3C traceparent header (eg. "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01").
+ * Returns null if header is missing or invalid.
+ * @param {string} header
+ * @return {MayanLoggerTraceContext|null}
+ */
+function parseTraceparent(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const match = TRACEPARENT_REGEX.exec(header.trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, spanId, flags, extra] = match;
+  if (
+    version === 'ff' ||
+    (version === '00' && extra) ||
+    traceId === INVALID_TRACE_ID ||
+    spanId === INVALID_SPAN_ID
+  ) {
+    return null;
+  }
+
+  return new MayanLoggerTraceContext({
+    trace_id: traceId,
+    span_id: spanId,
+    trace_flags: flags,
+  });
+}
+
+/**
+ * Format trace context as a W3C traceparent header, suitable for sending to other services
+ * @param {MayanLoggerTraceContext} context
+ * @return {string}
+ */
+function formatTraceparent(context) {
+  return `00-${context.trace_id}-${context.span_id}-${context.trace_flags || TRACE_FLAG_SAMPLED}`;
+}
+
+/**
+ * Start a new span, as a child of given parent. If there is no parent, a new trace is started.
+ * @param {MayanLoggerTraceContext} [parent]
+ * @return {MayanLoggerTraceContext}
+ */
+function startSpan(parent) {
+  return new MayanLoggerTraceContext({
+    trace_id: parent ? parent.trace_id : generateTraceId(),
+    span_id: generateSpanId(),
+    parent_span_id: parent ? parent.span_id : undefined,
+    trace_flags: parent ? parent.trace_flags : TRACE_FLAG_SAMPLED,
+  });
+}
+
+module.exports = {
+  generateTraceId,
+  generateSpanId,
+  parseTraceparent,
+  formatTraceparent,
+  startSpan,
+};
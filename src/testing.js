@@ -0,0 +1,246 @@
+'use strict';
+
+const { MayanLogger } = require('./logger');
+const { LOG_LEVELS, LOG_LEVEL_VALUES } = require('./types');
+
+/**
+ * Something to match logged messages against. A string must be contained in the message (or logged error's message),
+ * a RegExp must match it, and a function gets the whole message and returns true for a match.
+ * @typedef {string|RegExp|function(MayanLoggerMessage):boolean} MayanLoggerMessagePattern
+ */
+
+/**
+ * Logger for use in tests. It logs everything (level defaults to trace), but instead of writing messages out,
+ * it keeps them in memory, so you can inspect them. Use with jest `matchers` from this module.
+ */
+class MayanTestLogger extends MayanLogger {
+  /**
+   * @param {MayanLoggerOptions|Object} [options] Normal logger options. Transports are ignored.
+   */
+  constructor(options = {}) {
+    const messages = [];
+    const onLog = options.on_log;
+    super({
+      level: LOG_LEVELS.trace,
+      ...options,
+      transports: [],
+      on_log: msg => {
+        messages.push(msg);
+        if (onLog) {
+          onLog(msg);
+        }
+      },
+    });
+
+    /**
+     * All logged messages, in order
+     * @type {MayanLoggerMessage[]}
+     */
+    this.messages = messages;
+  }
+
+  /**
+   * Messages logged at given level
+   * @param {string} level
+   * @return {MayanLoggerMessage[]}
+   */
+  byLevel(level) {
+    return this.messages.filter(msg => msg.level === level);
+  }
+
+  /**
+   * Messages logged by collectors which have given tag
+   * @param {string} tag
+   * @return {MayanLoggerMessage[]}
+   */
+  byTag(tag) {
+    return this.messages.filter(msg => msg.collector.tags.includes(tag));
+  }
+
+  /**
+   * Messages at given level (or any level, if null) which match the pattern
+   * @param {string|null} level
+   * @param {MayanLoggerMessagePattern} [pattern]
+   * @return {MayanLoggerMessage[]}
+   */
+  filter(level, pattern) {
+    return filterMessages(this.messages, level, pattern);
+  }
+
+  /**
+   * First message at given level (or any level, if null) which matches the pattern
+   * @param {string|null} level
+   * @param {MayanLoggerMessagePattern} [pattern]
+   * @return {MayanLoggerMessage|undefined}
+   */
+  find(level, pattern) {
+    return this.filter(level, pattern)[0];
+  }
+
+  /**
+   * Forget all captured messages
+   */
+  clear() {
+    this.messages.length = 0;
+  }
+}
+
+/**
+ * Returns true if message matches given pattern
+ * @param {MayanLoggerMessage} msg
+ * @param {MayanLoggerMessagePattern} [pattern]
+ */
+function matchesPattern(msg, pattern) {
+  if (pattern === undefined) {
+    return true;
+  }
+  if (typeof pattern === 'function') {
+    return !!pattern(msg);
+  }
+  const texts = [String(msg.message)];
+  if (msg.error) {
+    texts.push(String(msg.error.message));
+  }
+  return texts.some(text =>
+    pattern instanceof RegExp ? pattern.test(text) : text.includes(String(pattern))
+  );
+}
+
+/**
+ * @param {MayanLoggerMessage[]} messages
+ * @param {string|null} level
+ * @param {MayanLoggerMessagePattern} [pattern]
+ * @return {MayanLoggerMessage[]}
+ */
+function filterMessages(messages, level, pattern) {
+  return messages.filter(msg => (!level || msg.level === level) && matchesPattern(msg, pattern));
+}
+
+/**
+ * Short one-line description of a message, for test failure output
+ * @param {MayanLoggerMessage} msg
+ */
+function describeMessage(msg) {
+  let result = `${msg.level}: `;
+  if (msg.collector.tagString) {
+    result += msg.collector.tagString + ' ';
+  }
+  result += String(msg.message);
+  if (msg.error) {
+    result += `${msg.message ? ' ' : ''}(${msg.error.name}: ${msg.error.message})`;
+  }
+  return result;
+}
+
+/**
+ * @param {MayanLoggerMessagePattern} pattern
+ */
+function describePattern(pattern) {
+  if (typeof pattern === 'function') {
+    return pattern.name ? `${pattern.name}()` : 'function';
+  }
+  return pattern instanceof RegExp ? String(pattern) : JSON.stringify(String(pattern));
+}
+
+/**
+ * @param {MayanLoggerMessage[]} messages
+ */
+function describeMessages(messages) {
+  if (!messages.length) {
+    return '  (nothing was logged)';
+  }
+  return messages.map(msg => '  ' + describeMessage(msg)).join('\n');
+}
+
+/**
+ * Get captured messages from a test logger, or a plain array of messages
+ * @param {MayanTestLogger|MayanLoggerMessage[]} received
+ * @return {MayanLoggerMessage[]}
+ */
+function getMessages(received) {
+  if (Array.isArray(received)) {
+    return received;
+  }
+  if (received instanceof MayanTestLogger) {
+    return received.messages;
+  }
+  throw new TypeError(
+    `Expected a MayanTestLogger or an array of logged messages, got: ${received}`
+  );
+}
+
+/**
+ * Throw if any message at given level or more severe (eg. warnings and errors) was logged, other than the allowed ones.
+ * Call this at the end of a test (or in afterEach) to make sure nothing went wrong unnoticed.
+ * @param {MayanTestLogger|MayanLoggerMessage[]} logger
+ * @param {MayanLoggerMessagePattern[]} [allowed] Patterns of messages which are expected
+ * @param {string} [level] Least severe level to check. Defaults to warn.
+ */
+function expectNoUnexpectedLogs(logger, allowed = [], level = LOG_LEVELS.warn) {
+  const unexpected = getMessages(logger).filter(
+    msg =>
+      LOG_LEVEL_VALUES[msg.level] <= LOG_LEVEL_VALUES[level] &&
+      !allowed.some(pattern => matchesPattern(msg, pattern))
+  );
+  if (unexpected.length) {
+    const list = describeMessages(unexpected);
+    throw new Error(`Expected no ${level} or more severe messages to be logged, but got:\n${list}`);
+  }
+}
+
+/**
+ * Jest matchers. Install them with expect.extend(matchers).
+ */
+const matchers = {
+  /**
+   * expect(logger).toHaveLogged('error', /timeout/)
+   * @param {MayanTestLogger|MayanLoggerMessage[]} received
+   * @param {string|null} level
+   * @param {MayanLoggerMessagePattern} [pattern]
+   */
+  toHaveLogged(received, level, pattern) {
+    const messages = getMessages(received);
+    const pass = filterMessages(messages, level, pattern).length > 0;
+    let expected = `${pass ? 'no ' : ''}${level || 'any'} message`;
+    if (pattern !== undefined) {
+      expected += ` matching ${describePattern(pattern)}`;
+    }
+    return {
+      pass,
+      message: () => `Expected ${expected} to be logged. Logged:\n${describeMessages(messages)}`,
+    };
+  },
+
+  /**
+   * expect(logger).toHaveLoggedError(TimeoutError)
+   * @param {MayanTestLogger|MayanLoggerMessage[]} received
+   * @param {function|string|RegExp} [expected] Error class, or pattern for error message
+   */
+  toHaveLoggedError(received, expected) {
+    const messages = getMessages(received);
+    const pass = messages.some(
+      msg =>
+        msg.error &&
+        (expected === undefined ||
+          (typeof expected === 'function'
+            ? msg.error instanceof expected
+            : matchesPattern({ message: msg.error.message }, expected)))
+    );
+    let description = pass ? 'no error' : 'an error';
+    if (typeof expected === 'function') {
+      description = `${pass ? 'no' : 'an'} instance of ${expected.name}`;
+    } else if (expected !== undefined) {
+      description += ` matching ${describePattern(expected)}`;
+    }
+    return {
+      pass,
+      message: () => `Expected ${description} to be logged. Logged:\n${describeMessages(messages)}`,
+    };
+  },
+};
+
+module.exports = {
+  MayanTestLogger,
+  matchers,
+  expectNoUnexpectedLogs,
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+const {
+  LOG_LEVEL_VALUES,
+  LOGGER_WRITERS,
+  MayanLoggerTransportOptions,
+  MayanLoggerAsyncOptions,
+  MayanLoggerOptionsError,
+} = require('./types');
+const { isFunction } = require('./utils');
+const { makeFormatter } = require('./formats');
+const { makeConsoleWriter, makeStreamWriter, makeFileWriter } = require('./writers');
+
+/**
+ * Compiled transport, ready to receive messages from logger
+ * @typedef {object} MayanLoggerTransport
+ * @property {string} level Minimal level this transport will write, or undefined to write everything
+ * @property {function(MayanLoggerMessage): string} format
+ * @property {loggerWriter} write
+ */
+
+/**
+ * Create a writer function for given transport options
+ * @param {MayanLoggerTransportOptions} transportOptions
+ * @param {MayanLoggerAsyncOptions} asyncOptions
+ * @return loggerWriter
+ */
+function makeWriter(transportOptions, asyncOptions) {
+  if (isFunction(transportOptions.writer)) {
+    return transportOptions.writer;
+  }
+
+  switch (transportOptions.writer) {
+    case LOGGER_WRITERS.console:
+      return makeConsoleWriter(asyncOptions);
+    case LOGGER_WRITERS.stream:
+      return makeStreamWriter(transportOptions.stream, asyncOptions);
+    case LOGGER_WRITERS.file:
+      return makeFileWriter(transportOptions.file, asyncOptions);
+  }
+
+  throw new MayanLoggerOptionsError(`Invalid transport writer: ${transportOptions.writer}`);
+}
+
+/**
+ * Create a single transport. Options that are not set on the transport are taken from the main logger options.
+ * @param {MayanLoggerTransportOptions} transportOptions
+ * @param {MayanLoggerOptions} loggerOptions
+ * @return {MayanLoggerTransport}
+ */
+function makeTransport(transportOptions, loggerOptions) {
+  const format = makeFormatter({
+    ...loggerOptions,
+    output: transportOptions.output || loggerOptions.output,
+    indent_multiline:
+      transportOptions.indent_multiline !== undefined
+        ? transportOptions.indent_multiline
+        : loggerOptions.indent_multiline,
+    terminal_colors: {
+      ...loggerOptions.terminal_colors,
+      ...transportOptions.terminal_colors,
+    },
+  });
+
+  return {
+    level: transportOptions.level,
+    format,
+    write: makeWriter(
+      transportOptions,
+      new MayanLoggerAsyncOptions({
+        ...loggerOptions.async,
+        ...transportOptions.async,
+      })
+    ),
+  };
+}
+
+/**
+ * Create all transports defined in logger options. If none are given, we will create a single console transport.
+ * @param {MayanLoggerOptions} loggerOptions
+ * @return {MayanLoggerTransport[]}
+ */
+function makeTransports(loggerOptions) {
+  const transportOptions = loggerOptions.transports || [new MayanLoggerTransportOptions({})];
+  return transportOptions.map(to => makeTransport(to, loggerOptions));
+}
+
+/**
+ * Returns true if given transport should write message at given level
+ * @param {MayanLoggerTransport} transport
+ * @param {string} level
+ */
+function transportAccepts(transport, level) {
+  return !transport.level || LOG_LEVEL_VALUES[level] <= LOG_LEVEL_VALUES[transport.level];
+}
+
+/**
+ * Wait for all buffered messages in given transports to be written out
+ * @param {MayanLoggerTransport[]} transports
+ * @return {Promise}
+ */
+function flushTransports(transports) {
+  return Promise.all(
+    transports.map(transport => transport.write.flush && transport.write.flush())
+  ).then(() => {});
+}
+
+/**
+ * Flush and close all given transports. Transports should not be used after this.
+ * @param {MayanLoggerTransport[]} transports
+ * @return {Promise}
+ */
+function closeTransports(transports) {
+  return flushTransports(transports)
+    .then(() =>
+      Promise.all(transports.map(transport => transport.write.close && transport.write.close()))
+    )
+    .then(() => {});
+}
+
+module.exports = {
+  flushTransports,
+  closeTransports,
+  makeWriter,
+  makeTransport,
+  makeTransports,
+  transportAccepts,
+};
@@ -1,10 +1,23 @@
 'use strict';
 
-const { reverseHash, assertSubset } = require('./utils');
+const { reverseHash, assertSubset, isOutputTemplate } = require('./utils');
 
 // *********************************************************************************************************************
 
-const LOG_LEVEL_ENV = 'LOG_LEVEL';
+/**
+ * Environment variables read by MayanLoggerOptions.fromEnv()
+ */
+const LOGGER_ENV_VARS = {
+  level: 'LOG_LEVEL',
+  collector_levels: 'LOG_LEVELS',
+  output: 'LOG_OUTPUT',
+  timestamp: 'LOG_TIMESTAMP',
+  tracing: 'LOG_TRACING',
+  redact: 'LOG_REDACT',
+  config: 'LOG_CONFIG',
+};
+
+const LOG_LEVEL_ENV = LOGGER_ENV_VARS.level;
 
 const LOG_LEVELS = {
   silent: 'silent',
@@ -19,6 +32,42 @@ const LOG_LEVELS = {
 const LOGGER_OUTPUTS = {
   terminal: 'terminal',
   json: 'json',
+  logfmt: 'logfmt',
+};
+
+const TRACE_OUTCOMES = {
+  returned: 'returned',
+  threw: 'threw',
+  resolved: 'resolved',
+  rejected: 'rejected',
+};
+
+const LOGGER_WRITERS = {
+  console: 'console',
+  stream: 'stream',
+  file: 'file',
+};
+
+const FILE_ROTATION_INTERVALS = {
+  day: 'day',
+  hour: 'hour',
+};
+
+const ASYNC_OVERFLOW_POLICIES = {
+  drop_oldest: 'drop_oldest',
+  drop_debug: 'drop_debug',
+  block: 'block',
+};
+
+const RATE_LIMIT_SCOPES = {
+  collector: 'collector',
+  global: 'global',
+};
+
+const RECORDER_SCOPES = {
+  global: 'global',
+  collector: 'collector',
+  context: 'context',
 };
 
 // *********************************************************************************************************************
@@ -48,6 +97,8 @@ const DEFAULT_TERMINAL_COLORS = /** @lends MayanLoggerTerminalColorOptions.proto
   timestamp: 'gray',
   tags: 'white',
   message: null,
+  fields: 'gray',
+  data: null,
 };
 assertSubset(DEFAULT_TERMINAL_COLORS, LOG_LEVELS);
 
@@ -66,13 +117,15 @@ class MayanLoggerOptions {
     this.enabled = true;
 
     /**
-     * One of LOGGER_OUTPUTS. Determined what will logger spew out.
-     * @type {string}
+     * One of LOGGER_OUTPUTS, a template string (eg. "{time:HH:mm:ss} {level} {msg}") or a custom formatter function,
+     * which takes a MayanLoggerMessage and returns a string. Determined what will logger spew out.
+     * @type {string|function(MayanLoggerMessage): string}
      */
     this.output = LOGGER_OUTPUTS.terminal;
 
     /**
-     * Lookup of collector initial levels, by collector key.
+     * Lookup of collector initial levels, by collector key or glob pattern (eg. "Db_*").
+     * Levels are inherited down the tag hierarchy, so "Service" also applies to "Service_Worker".
      * NOTE: Key will be something like Tag1_Tag2_Tag3
      * @type {Object.<string, string>}
      */
@@ -102,7 +155,7 @@ class MayanLoggerOptions {
      */
     this.tracing = {
       /**
-       * Set to false to disable adding tracing shims
+       * Whether traced calls should be logged. Tracing shims are always installed, so this can be toggled live.
        */
       enabled: false,
 
@@ -116,6 +169,18 @@ class MayanLoggerOptions {
        * Tag to add for tracing
        */
       tag: 'trace',
+
+      /**
+       * Also trace getters and setters
+       * @type {boolean}
+       */
+      accessors: false,
+
+      /**
+       * When tracing a class instance, also trace static methods of its class
+       * @type {boolean}
+       */
+      statics: false,
     };
 
     /**
@@ -134,6 +199,79 @@ class MayanLoggerOptions {
      */
     this.terminal_colors = null;
 
+    /**
+     * Whether to use colors in terminal output. If not set, this is auto-detected (see colorette).
+     * @type {boolean}
+     */
+    this.colors = undefined;
+
+    /**
+     * Options for rendering data arguments in terminal output
+     * @type {MayanLoggerTerminalDataOptions}
+     */
+    this.terminal_data = new MayanLoggerTerminalDataOptions();
+
+    /**
+     * List of transports, places where the log messages will be written. Each transport can have its own level,
+     * output format and writer. If not set, logger will write messages to console, using the "output" option.
+     * @type {MayanLoggerTransportOptions[]}
+     */
+    this.transports = null;
+
+    /**
+     * Options for asynchronous writing. If enabled, messages will be buffered in memory and written out in batches,
+     * without blocking the event loop. Individual transports can override these.
+     * @type {MayanLoggerAsyncOptions}
+     */
+    this.async = new MayanLoggerAsyncOptions();
+
+    /**
+     * Protection against log floods. Repeated messages and messages over the rate limit are dropped,
+     * and periodically summarized instead.
+     * @type {MayanLoggerRateLimitOptions}
+     */
+    this.rate_limit = new MayanLoggerRateLimitOptions();
+
+    /**
+     * Log only a fraction of messages at given levels, eg. {levels: {debug: 0.01}}
+     * @type {MayanLoggerSamplingOptions}
+     */
+    this.sampling = new MayanLoggerSamplingOptions();
+
+    /**
+     * Keep recent messages which were below the active level in memory, and write them out when an error is logged
+     * @type {MayanLoggerFlightRecorderOptions}
+     */
+    this.flight_recorder = new MayanLoggerFlightRecorderOptions();
+
+    /**
+     * Limits for JSON output. Anything over the limits is replaced with truncation markers.
+     * @type {MayanLoggerJSONOptions}
+     */
+    this.json = new MayanLoggerJSONOptions();
+
+    /**
+     * Redact sensitive data (passwords, tokens...) from data arguments, error properties, bound fields and
+     * tracing arguments. Either a MayanLoggerRedactOptions object, or a list of key names, dotted paths and regexes.
+     * @type {MayanLoggerRedactOptions}
+     */
+    this.redact = null;
+
+    /**
+     * JSON or YAML file with logger options, which will be watched and applied live. Only level, collector_levels,
+     * enabled, tracing and redact are applied; other options are read only when the logger is created.
+     * Either a path or MayanLoggerConfigFileOptions.
+     * @type {MayanLoggerConfigFileOptions}
+     */
+    this.config_file = null;
+
+    /**
+     * Signal (eg. "SIGUSR2") which makes logger one level more verbose. After trace, it goes back to where it
+     * started. Set to true to use SIGUSR2. Note that this replaces the default signal behavior (process exit).
+     * @type {string|boolean}
+     */
+    this.level_signal = null;
+
     this.assign(source);
   }
 
@@ -145,25 +283,697 @@ class MayanLoggerOptions {
         ...this.tracing,
         ...source.tracing,
       },
+      async: new MayanLoggerAsyncOptions({
+        ...this.async,
+        ...source.async,
+      }),
+      json: new MayanLoggerJSONOptions({
+        ...this.json,
+        ...source.json,
+      }),
+      flight_recorder: new MayanLoggerFlightRecorderOptions({
+        ...this.flight_recorder,
+        ...source.flight_recorder,
+      }),
+      sampling: new MayanLoggerSamplingOptions({
+        ...this.sampling,
+        ...source.sampling,
+      }),
+      rate_limit: new MayanLoggerRateLimitOptions({
+        ...this.rate_limit,
+        ...source.rate_limit,
+      }),
+      redact: source.redact ? new MayanLoggerRedactOptions(source.redact) : this.redact,
+      config_file: source.config_file
+        ? new MayanLoggerConfigFileOptions(
+            typeof source.config_file === 'string'
+              ? { path: source.config_file }
+              : source.config_file
+          )
+        : this.config_file,
+      level_signal:
+        source.level_signal === true ? 'SIGUSR2' : source.level_signal || this.level_signal,
       terminal_colors: {
-        ...DEFAULT_TERMINAL_COLORS,
+        ...(this.terminal_colors || DEFAULT_TERMINAL_COLORS),
         ...source.terminal_colors,
       },
+      terminal_data: new MayanLoggerTerminalDataOptions({
+        ...this.terminal_data,
+        ...source.terminal_data,
+      }),
     });
 
     if (!LOG_LEVELS[this.level]) {
       throw new InvalidLogLevelError(this.level, 500);
     }
-    if (!LOGGER_OUTPUTS[this.output]) {
+    if (this.level_signal && typeof this.level_signal !== 'string') {
+      throw new MayanLoggerOptionsError(`"level_signal" must be a signal name or true`);
+    }
+    if (this.colors !== undefined && typeof this.colors !== 'boolean') {
+      throw new MayanLoggerOptionsError(`"colors" must be a boolean or undefined`);
+    }
+    for (const key in this.collector_levels) {
+      if (!LOG_LEVELS[this.collector_levels[key]]) {
+        throw new InvalidLogLevelError(this.collector_levels[key], 500);
+      }
+    }
+    if (
+      !LOGGER_OUTPUTS[this.output] &&
+      typeof this.output !== 'function' &&
+      !isOutputTemplate(this.output)
+    ) {
       throw new MayanLoggerError(`Invalid logger output: ${this.output}`);
     }
+
+    if (source.transports) {
+      if (!Array.isArray(source.transports)) {
+        throw new MayanLoggerOptionsError(`Transports must be an array`);
+      }
+      this.transports = source.transports.map(transport =>
+        transport instanceof MayanLoggerTransportOptions
+          ? transport
+          : new MayanLoggerTransportOptions(transport)
+      );
+    }
   }
 
+  /**
+   * Create options out of environment variables. See LOGGER_ENV_VARS and readEnvOptions() for details.
+   * @param {Object.<string, string>} env
+   */
   static fromEnv(env = {}) {
-    return new this({
-      level: env[LOG_LEVEL_ENV],
-      output: env.NODE_ENV === 'production' ? LOGGER_OUTPUTS.json : LOGGER_OUTPUTS.terminal,
+    // Required lazily, because env parsing depends on this module
+    const { readEnvOptions } = require('./env');
+    return new this(readEnvOptions(env));
+  }
+}
+
+/**
+ * Options for a single transport. Any option that isn't given will be inherited from the main logger options.
+ */
+class MayanLoggerTransportOptions {
+  constructor(/** MayanLoggerTransportOptions */ source) {
+    /**
+     * Minimal level this transport will write. Note that transport can only further restrict what logger
+     * (or collector) would log, not expand it. If not set, transport will write everything that reaches it.
+     * @type {string}
+     */
+    this.level = undefined;
+
+    /**
+     * One of LOGGER_OUTPUTS, a template string or a custom formatter function, which takes a MayanLoggerMessage and
+     * returns a string. Defaults to the main logger output.
+     * @type {string|function(MayanLoggerMessage): string}
+     */
+    this.output = undefined;
+
+    /**
+     * One of LOGGER_WRITERS, or a custom writer function (see loggerWriter in writers.js).
+     * Defaults to console.
+     * @type {string|function(string, string, MayanLoggerMessage)}
+     */
+    this.writer = LOGGER_WRITERS.console;
+
+    /**
+     * Writable stream to use with the "stream" writer
+     * @type {NodeJS.WritableStream}
+     */
+    this.stream = undefined;
+
+    /**
+     * Options for the "file" writer
+     * @type {MayanLoggerFileOptions}
+     */
+    this.file = undefined;
+
+    /**
+     * Override for main logger's async options. Will be merged with the main logger async options.
+     * @type {MayanLoggerAsyncOptions}
+     */
+    this.async = undefined;
+
+    /**
+     * Override for main logger's indent_multiline option
+     * @type {boolean}
+     */
+    this.indent_multiline = undefined;
+
+    /**
+     * Override for main logger's terminal colors. Will be merged with the main logger colors.
+     * @type {MayanLoggerTerminalColorOptions}
+     */
+    this.terminal_colors = undefined;
+
+    Object.assign(this, source, {
+      level: LOG_LEVEL_VALUES_TO_LEVELS[source.level] || source.level,
+      file: source.file && new MayanLoggerFileOptions(source.file),
+    });
+
+    if (this.level && !LOG_LEVELS[this.level]) {
+      throw new InvalidLogLevelError(this.level, 500);
+    }
+    if (
+      this.output &&
+      !LOGGER_OUTPUTS[this.output] &&
+      typeof this.output !== 'function' &&
+      !isOutputTemplate(this.output)
+    ) {
+      throw new MayanLoggerOptionsError(`Invalid transport output: ${this.output}`);
+    }
+    if (!LOGGER_WRITERS[this.writer] && typeof this.writer !== 'function') {
+      throw new MayanLoggerOptionsError(`Invalid transport writer: ${this.writer}`);
+    }
+    if (this.writer === LOGGER_WRITERS.stream && !(this.stream && this.stream.write)) {
+      throw new MayanLoggerOptionsError(`Stream writer requires a writable "stream" option`);
+    }
+    if (this.writer === LOGGER_WRITERS.file && !this.file) {
+      throw new MayanLoggerOptionsError(`File writer requires the "file" option`);
+    }
+  }
+}
+
+/**
+ * Options for the file writer, which appends lines to a file and optionally rotates it
+ */
+class MayanLoggerFileOptions {
+  constructor(/** MayanLoggerFileOptions */ source) {
+    /**
+     * Path to the log file. Directory will be created if it doesn't exist.
+     * @type {string}
+     */
+    this.path = undefined;
+
+    /**
+     * Rotate the file once it would grow larger than this many bytes. Set to 0 to disable size rotation.
+     * @type {number}
+     */
+    this.max_size = 0;
+
+    /**
+     * One of FILE_ROTATION_INTERVALS. Rotate the file when a new day or hour starts (local time).
+     * Leave empty to disable time rotation.
+     * @type {string}
+     */
+    this.interval = undefined;
+
+    /**
+     * How many archived files to keep. Older archives will be deleted. Set to 0 to keep all.
+     * @type {number}
+     */
+    this.keep = 5;
+
+    /**
+     * Gzip archived files
+     * @type {boolean}
+     */
+    this.compress = false;
+
+    /**
+     * Close and reopen the log file when process receives SIGHUP. Use this with an external logrotate.
+     * NOTE: This will replace the default SIGHUP behavior, which is to terminate the process.
+     * @type {boolean}
+     */
+    this.reopen_on_sighup = false;
+
+    Object.assign(this, source);
+
+    if (!this.path || typeof this.path !== 'string') {
+      throw new MayanLoggerOptionsError(`File writer requires a "path"`);
+    }
+    if (this.interval && !FILE_ROTATION_INTERVALS[this.interval]) {
+      throw new MayanLoggerOptionsError(`Invalid file rotation interval: ${this.interval}`);
+    }
+    if (!(this.max_size >= 0) || !(this.keep >= 0)) {
+      throw new MayanLoggerOptionsError(`File "max_size" and "keep" must be non-negative numbers`);
+    }
+  }
+}
+
+/**
+ * Options for rendering data arguments in terminal output
+ */
+class MayanLoggerTerminalDataOptions {
+  constructor(/** MayanLoggerTerminalDataOptions */ source) {
+    /**
+     * Set to false to not show data arguments in terminal output at all
+     * @type {boolean}
+     */
+    this.enabled = true;
+
+    /**
+     * Values that can be shown in a single line up to this long will be shown inline, after the message.
+     * Larger values are shown as an indented block below the message.
+     * @type {number}
+     */
+    this.inline_length = 80;
+
+    /**
+     * How deep to inspect nested objects
+     * @type {number}
+     */
+    this.depth = 4;
+
+    /**
+     * Maximal length of a single rendered value, in characters. Anything longer will be cut off.
+     * @type {number}
+     */
+    this.max_length = 10000;
+
+    /**
+     * Syntax-highlight data blocks, using util.inspect colors. Only applies if there is no "data" terminal color
+     * and colors are supported.
+     * @type {boolean}
+     */
+    this.colors = true;
+
+    Object.assign(this, source);
+
+    if (!(this.inline_length >= 0) || !(this.depth >= 0) || !(this.max_length > 0)) {
+      throw new MayanLoggerOptionsError(
+        `Terminal data "inline_length" and "depth" must be non-negative and "max_length" a positive number`
+      );
+    }
+  }
+}
+
+/**
+ * Limits for JSON serialization
+ */
+class MayanLoggerJSONOptions {
+  constructor(/** MayanLoggerJSONOptions */ source) {
+    /**
+     * How deep to go into nested objects, counting from the top level of the JSON message
+     * @type {number}
+     */
+    this.max_depth = 10;
+
+    /**
+     * Maximal number of keys (or array items) to output from a single object
+     * @type {number}
+     */
+    this.max_keys = 1000;
+
+    /**
+     * Approximate maximal length of a JSON message, in characters
+     * @type {number}
+     */
+    this.max_length = 1000000;
+
+    Object.assign(this, source);
+
+    if (!(this.max_depth > 0) || !(this.max_keys > 0) || !(this.max_length > 0)) {
+      throw new MayanLoggerOptionsError(
+        `JSON "max_depth", "max_keys" and "max_length" must be positive numbers`
+      );
+    }
+  }
+}
+
+/**
+ * Options for the HTTP admin handler
+ */
+class MayanLoggerAdminOptions {
+  constructor(/** MayanLoggerAdminOptions */ source) {
+    /**
+     * Path prefix under which admin routes are served, eg. "/_logger". Leave empty if your framework strips
+     * the mount path (eg. Express app.use('/_logger', handler)).
+     * @type {string}
+     */
+    this.prefix = '';
+
+    /**
+     * Optional auth hook. Gets the request (node's IncomingMessage) and returns (or resolves with) true if request
+     * is allowed. If it returns false, handler responds with 401. It can also throw an error with a 4xx code.
+     * @type {function(IncomingMessage): boolean|Promise<boolean>}
+     */
+    this.auth = undefined;
+
+    /**
+     * Serve a simple HTML page for controlling levels at the root path
+     * @type {boolean}
+     */
+    this.html = true;
+
+    /**
+     * Maximal size of request body, in bytes
+     * @type {number}
+     */
+    this.max_body_size = 10 * 1024;
+
+    Object.assign(this, source);
+
+    this.prefix = (this.prefix || '').replace(/\/+$/, '');
+    if (this.prefix && !this.prefix.startsWith('/')) {
+      throw new MayanLoggerOptionsError(`Admin "prefix" must start with "/"`);
+    }
+    if (this.auth && typeof this.auth !== 'function') {
+      throw new MayanLoggerOptionsError(`Admin "auth" must be a function`);
+    }
+  }
+}
+
+/**
+ * Options for the live config file
+ */
+class MayanLoggerConfigFileOptions {
+  constructor(/** MayanLoggerConfigFileOptions */ source) {
+    /**
+     * Path to a JSON or YAML (.yml, .yaml) file. YAML requires "yaml" or "js-yaml" package.
+     * @type {string}
+     */
+    this.path = undefined;
+
+    /**
+     * How often to check the file for changes, in ms
+     * @type {number}
+     */
+    this.interval = 1000;
+
+    Object.assign(this, source);
+
+    if (!this.path || typeof this.path !== 'string') {
+      throw new MayanLoggerOptionsError(`Config file "path" must be a string`);
+    }
+    if (!(this.interval > 0)) {
+      throw new MayanLoggerOptionsError(`Config file "interval" must be a positive number`);
+    }
+  }
+}
+
+/**
+ * Options for redacting sensitive data
+ */
+class MayanLoggerRedactOptions {
+  /**
+   * @param {MayanLoggerRedactOptions|Array<string|RegExp>} source Options, or a list where regexes are treated as
+   *   value patterns, strings with "." or "*" as paths, and other strings as key names
+   */
+  constructor(source) {
+    /**
+     * Key names to redact, wherever they appear. Case insensitive.
+     * @type {string[]}
+     */
+    this.keys = [];
+
+    /**
+     * Dotted paths to redact, relative to each data argument, error or bound fields. "*" matches any key.
+     * Eg. "user.password", "headers.*.token", "cards.*"
+     * @type {string[]}
+     */
+    this.paths = [];
+
+    /**
+     * Patterns to replace inside string values. Eg. JWT or credit card number patterns.
+     * @type {RegExp[]}
+     */
+    this.values = [];
+
+    /**
+     * String to put in place of redacted values
+     * @type {string}
+     */
+    this.censor = '[REDACTED]';
+
+    if (Array.isArray(source)) {
+      for (const item of source) {
+        if (item instanceof RegExp) {
+          this.values.push(item);
+        } else if (/[.*]/.test(item)) {
+          this.paths.push(item);
+        } else {
+          this.keys.push(item);
+        }
+      }
+    } else {
+      Object.assign(this, source);
+    }
+
+    if (!Array.isArray(this.keys) || !Array.isArray(this.paths) || !Array.isArray(this.values)) {
+      throw new MayanLoggerOptionsError(`Redact "keys", "paths" and "values" must be arrays`);
+    }
+    this.values = this.values.map(value => {
+      try {
+        return value instanceof RegExp ? value : new RegExp(value);
+      } catch (err) {
+        throw new MayanLoggerOptionsError(`Invalid redact value pattern: ${value}`);
+      }
     });
+    if (typeof this.censor !== 'string') {
+      throw new MayanLoggerOptionsError(`Redact "censor" must be a string`);
+    }
+  }
+}
+
+/**
+ * Options for asynchronous (buffered) writing
+ */
+class MayanLoggerAsyncOptions {
+  constructor(/** MayanLoggerAsyncOptions */ source) {
+    /**
+     * Set to true to buffer messages in memory and write them out in batches
+     * @type {boolean}
+     */
+    this.enabled = false;
+
+    /**
+     * Maximal number of lines to hold in the buffer. After that, overflow policy kicks in.
+     * @type {number}
+     */
+    this.max_buffered = 10000;
+
+    /**
+     * How long to wait (ms) before writing out a batch. If 0, batch will be written on the next event loop tick.
+     * @type {number}
+     */
+    this.flush_interval = 0;
+
+    /**
+     * One of ASYNC_OVERFLOW_POLICIES. What to do when buffer is full.
+     *  - drop_oldest: Drop the oldest buffered line
+     *  - drop_debug: Drop debug and trace lines first (including the new one), then the oldest line
+     *  - block: Write out the buffer synchronously. Only console and file writers can do that, other writers
+     *    will throw MayanLoggerOptionsError. If a write is still in progress, lines are kept until it is done,
+     *    so they stay in order.
+     * @type {string}
+     */
+    this.overflow = ASYNC_OVERFLOW_POLICIES.drop_oldest;
+
+    Object.assign(this, source);
+
+    if (!ASYNC_OVERFLOW_POLICIES[this.overflow]) {
+      throw new MayanLoggerOptionsError(`Invalid async overflow policy: ${this.overflow}`);
+    }
+    if (!(this.max_buffered > 0) || !(this.flush_interval >= 0)) {
+      throw new MayanLoggerOptionsError(
+        `Async "max_buffered" must be a positive and "flush_interval" a non-negative number`
+      );
+    }
+  }
+}
+
+/**
+ * Options for rate limiting and duplicate suppression
+ */
+class MayanLoggerRateLimitOptions {
+  constructor(/** MayanLoggerRateLimitOptions */ source) {
+    /**
+     * Set to true to limit messages
+     * @type {boolean}
+     */
+    this.enabled = false;
+
+    /**
+     * One of RATE_LIMIT_SCOPES. Whether each collector gets its own limits, or they are shared by all collectors.
+     * Either way, each level is limited separately.
+     * @type {string}
+     */
+    this.scope = RATE_LIMIT_SCOPES.collector;
+
+    /**
+     * How many messages per second are allowed, for each level. Set to 0 to not limit rate, only suppress duplicates.
+     * @type {number}
+     */
+    this.rate = 50;
+
+    /**
+     * How many messages can go through at once, before rate kicks in
+     * @type {number}
+     */
+    this.burst = 100;
+
+    /**
+     * Per-level overrides of rate and burst, eg. {debug: {rate: 10, burst: 20}}. Set a level to null to not limit it.
+     * @type {Object.<string, {rate: number, burst: number}|null>}
+     */
+    this.levels = {};
+
+    /**
+     * Suppress messages with the same collector, level and message (not counting data arguments) as one that was
+     * already logged within the current interval
+     * @type {boolean}
+     */
+    this.duplicates = true;
+
+    /**
+     * How often (ms) to log summaries of suppressed messages. This is also the duplicate suppression window.
+     * @type {number}
+     */
+    this.interval = 10000;
+
+    /**
+     * Maximal number of different messages to track for duplicate suppression, within one interval
+     * @type {number}
+     */
+    this.max_tracked = 1000;
+
+    Object.assign(this, source);
+
+    if (!RATE_LIMIT_SCOPES[this.scope]) {
+      throw new MayanLoggerOptionsError(`Invalid rate limit scope: ${this.scope}`);
+    }
+    for (const limit of [this].concat(Object.values(this.levels || {}))) {
+      if (limit && (!(limit.rate >= 0) || !(limit.burst >= 1))) {
+        throw new MayanLoggerOptionsError(
+          `Rate limit "rate" must be a non-negative number and "burst" at least 1`
+        );
+      }
+    }
+    for (const level in this.levels) {
+      if (!LOG_LEVELS[level]) {
+        throw new InvalidLogLevelError(level, 500);
+      }
+    }
+    if (!(this.interval > 0) || !(this.max_tracked > 0)) {
+      throw new MayanLoggerOptionsError(
+        `Rate limit "interval" and "max_tracked" must be positive numbers`
+      );
+    }
+  }
+}
+
+/**
+ * Options for the flight recorder
+ */
+class MayanLoggerFlightRecorderOptions {
+  constructor(/** MayanLoggerFlightRecorderOptions */ source) {
+    /**
+     * Set to true to record messages which are below the active level
+     * @type {boolean}
+     */
+    this.enabled = false;
+
+    /**
+     * Most verbose level to record
+     * @type {string}
+     */
+    this.level = LOG_LEVELS.debug;
+
+    /**
+     * One of RECORDER_SCOPES. Whether to keep one buffer, a buffer per collector, or a buffer per value of
+     * key_field (eg. per request). Logged errors only write out the buffer they belong to.
+     * @type {string}
+     */
+    this.scope = RECORDER_SCOPES.global;
+
+    /**
+     * Context field (eg. "requestId") which identifies buffers, for the "context" scope. Messages without this field
+     * share a buffer.
+     * @type {string}
+     */
+    this.key_field = undefined;
+
+    /**
+     * Maximal number of messages to keep in a buffer
+     * @type {number}
+     */
+    this.max_entries = 500;
+
+    /**
+     * Maximal estimated size of messages in a buffer, in bytes
+     * @type {number}
+     */
+    this.max_bytes = 1024 * 1024;
+
+    /**
+     * Maximal number of buffers. When there are more, the least recently used buffer is dropped.
+     * @type {number}
+     */
+    this.max_buffers = 100;
+
+    /**
+     * Messages at this level or more severe write out the recorded messages before them. Set to null to only
+     * write them out on demand.
+     * @type {string}
+     */
+    this.flush_level = LOG_LEVELS.error;
+
+    Object.assign(this, source);
+
+    if (!RECORDER_SCOPES[this.scope]) {
+      throw new MayanLoggerOptionsError(`Invalid flight recorder scope: ${this.scope}`);
+    }
+    if (this.scope === RECORDER_SCOPES.context && !this.key_field) {
+      throw new MayanLoggerOptionsError(`Flight recorder "context" scope requires "key_field"`);
+    }
+    if (!LOG_LEVELS[this.level] || (this.flush_level && !LOG_LEVELS[this.flush_level])) {
+      throw new InvalidLogLevelError(LOG_LEVELS[this.level] ? this.flush_level : this.level, 500);
+    }
+    if (!(this.max_entries > 0) || !(this.max_bytes > 0) || !(this.max_buffers > 0)) {
+      throw new MayanLoggerOptionsError(
+        `Flight recorder "max_entries", "max_bytes" and "max_buffers" must be positive numbers`
+      );
+    }
+  }
+}
+
+/**
+ * Options for sampling. Sample rates are numbers between 0 (log nothing) and 1 (log everything).
+ */
+class MayanLoggerSamplingOptions {
+  constructor(/** MayanLoggerSamplingOptions */ source) {
+    /**
+     * Sample rates by level, for all collectors. Eg. {debug: 0.1, verbose: 0.5}
+     * @type {Object.<string, number>}
+     */
+    this.levels = {};
+
+    /**
+     * Sample rates by collector key and level. These take precedence over "levels", and are inherited down the tag
+     * hierarchy (rates for "HttpServer" also apply to "HttpServer_Router"). Eg. {HttpServer: {debug: 0.01}}
+     * @type {Object.<string, Object.<string, number>>}
+     */
+    this.collectors = {};
+
+    /**
+     * Context field (eg. "requestId") to sample by. All messages with the same value of this field are either
+     * logged or dropped together. Messages without this field are sampled randomly.
+     * @type {string}
+     */
+    this.key_field = undefined;
+
+    Object.assign(this, source);
+
+    validateSampleRates(this.levels);
+    for (const key in this.collectors) {
+      validateSampleRates(this.collectors[key]);
+    }
+  }
+}
+
+/**
+ * @param {Object.<string, number>} rates
+ */
+function validateSampleRates(rates) {
+  for (const level in rates) {
+    if (!LOG_LEVELS[level]) {
+      throw new InvalidLogLevelError(level, 500);
+    }
+    const rate = rates[level];
+    if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+      throw new MayanLoggerOptionsError(
+        `Sample rate must be a number between 0 and 1, got: ${rate}`
+      );
+    }
   }
 }
 
@@ -186,14 +996,44 @@ class MayanLogCollectorState {
     this.tags = undefined;
 
     /**
-     * Level override just for this collector. If not set, we will log at main logger's level
+     * Level override just for this collector, coming from a level rule. If not set, we will log at main logger's level
      * @type {LOG_LEVELS}
      */
     this.level = undefined;
 
+    /**
+     * Key or pattern of the level rule which has set the level, if any
+     * @type {string}
+     */
+    this.level_rule = undefined;
+
+    /**
+     * Tracing override just for this collector. If not set, we will follow main logger's tracing setting
+     * @type {boolean}
+     */
+    this.tracing = undefined;
+
+    /**
+     * Fields that will be attached to every message logged through this collector
+     * @type {Object}
+     */
+    this.fields = undefined;
+
     Object.assign(this, source);
   }
 
+  /**
+   * Create a lightweight derived state, which shares everything with this state (including the live level),
+   * but has additional fields bound to it.
+   * @param {Object} fields
+   * @return {MayanLogCollectorState}
+   */
+  withFields(fields) {
+    const child = Object.create(this);
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
   /**
    * String representation of tags
    * @type {string}
@@ -212,7 +1052,19 @@ class MayanLogCollectorState {
  * Data carrier that contains information about logged message
  */
 class MayanLoggerMessage {
-  constructor(collector, level, message, error, data, timestamp, isTrace) {
+  constructor(
+    collector,
+    level,
+    message,
+    error,
+    data,
+    timestamp,
+    isTrace,
+    fields,
+    trace,
+    span,
+    sampleRate
+  ) {
     /**
      * Collector that has submitted message
      * @type {MayanLogCollectorState}
@@ -236,6 +1088,98 @@ class MayanLoggerMessage {
 
     /** @type {Boolean} */
     this.is_trace = isTrace;
+
+    /**
+     * Additional context fields, bound to the collector
+     * @type {Object}
+     */
+    this.fields = fields && Object.keys(fields).length ? fields : undefined;
+
+    /**
+     * Extra information, if this message was generated by the tracing wrapper
+     * @type {MayanLoggerTraceInfo}
+     */
+    this.trace = trace;
+
+    /**
+     * Distributed tracing span that was active when this message was logged
+     * @type {MayanLoggerTraceContext}
+     */
+    this.span = span;
+
+    /**
+     * If message went through sampling, the rate it was sampled at
+     * @type {number}
+     */
+    this.sample_rate = sampleRate;
+
+    /**
+     * Set if this message was recorded by the flight recorder while it was below the active level, and written
+     * out later (eg. because an error was logged)
+     * @type {boolean}
+     */
+    this.backfilled = undefined;
+  }
+}
+
+/**
+ * Information about a traced function call
+ */
+class MayanLoggerTraceInfo {
+  constructor(/** MayanLoggerTraceInfo */ source) {
+    /**
+     * Id shared by the entry and exit message of a single call
+     * @type {number}
+     */
+    this.call_id = undefined;
+
+    /**
+     * One of TRACE_OUTCOMES. Only set on exit messages.
+     * @type {string}
+     */
+    this.outcome = undefined;
+
+    /**
+     * How long did the call take. For promises, this is the time until promise has settled.
+     * Only set on exit messages.
+     * @type {number}
+     */
+    this.duration_ms = undefined;
+
+    Object.assign(this, source);
+  }
+}
+
+/**
+ * W3C Trace Context identifiers of a span. Property names follow OpenTelemetry conventions for logs.
+ */
+class MayanLoggerTraceContext {
+  constructor(/** MayanLoggerTraceContext */ source) {
+    /**
+     * 32 hex characters, shared by all spans of a trace
+     * @type {string}
+     */
+    this.trace_id = undefined;
+
+    /**
+     * 16 hex characters, identifying this span
+     * @type {string}
+     */
+    this.span_id = undefined;
+
+    /**
+     * Id of the span that has started this span, if any
+     * @type {string}
+     */
+    this.parent_span_id = undefined;
+
+    /**
+     * 2 hex characters. "01" means the trace is sampled.
+     * @type {string}
+     */
+    this.trace_flags = undefined;
+
+    Object.assign(this, source);
   }
 }
 
@@ -250,8 +1194,8 @@ class MayanLoggerState {
     this.enabled = undefined;
 
     /**
-     * One of LOGGER_OUTPUTS. Determined what will logger spew out.
-     * @type {string}
+     * One of LOGGER_OUTPUTS, a template string or a formatter function. Determined what will logger spew out.
+     * @type {string|function}
      */
     this.output = undefined;
 
@@ -274,11 +1218,37 @@ class MayanLoggerState {
     this.timestamps = undefined;
 
     /**
-     * All registered collectors
-     * @type {MayanLogCollectorState[]}
+     * All registered collectors. Each also has effective_level, which is the level it actually logs at, and
+     * counts of its suppressed messages.
+     * @type {Array<MayanLogCollectorState & {effective_level: string, suppressed: {rate_limited: number, duplicates: number}}>}
      */
     this.collectors = undefined;
 
+    /**
+     * Collector level rules, by collector key or pattern
+     * @type {Object.<string, string>}
+     */
+    this.level_rules = undefined;
+
+    /**
+     * Number of messages suppressed by rate limiting, since logger was created. Each collector also reports its
+     * own counts, as "suppressed".
+     * @type {{rate_limited: number, duplicates: number}}
+     */
+    this.suppressed = undefined;
+
+    /**
+     * Number of messages in the flight recorder, and their estimated size. Undefined if recorder isn't enabled.
+     * @type {{entries: number, bytes: number}}
+     */
+    this.flight_recorder = undefined;
+
+    /**
+     * Current sample rates
+     * @type {{levels: Object.<string, number>, collectors: Object.<string, Object.<string, number>>}}
+     */
+    this.sampling = undefined;
+
     Object.assign(this, source);
   }
 }
@@ -303,16 +1273,37 @@ class InvalidLogLevelError extends MayanLoggerOptionsError {
 // *********************************************************************************************************************
 
 module.exports = {
+  LOGGER_ENV_VARS,
   LOG_LEVEL_ENV,
 
   LOG_LEVELS,
   LOG_LEVEL_VALUES,
+  LOG_LEVEL_VALUES_TO_LEVELS,
   LOGGER_OUTPUTS,
+  LOGGER_WRITERS,
+  TRACE_OUTCOMES,
+  FILE_ROTATION_INTERVALS,
+  ASYNC_OVERFLOW_POLICIES,
+  RATE_LIMIT_SCOPES,
+  RECORDER_SCOPES,
   DEFAULT_TERMINAL_COLORS,
 
   MayanLoggerOptions,
+  MayanLoggerTransportOptions,
+  MayanLoggerFileOptions,
+  MayanLoggerAsyncOptions,
+  MayanLoggerRateLimitOptions,
+  MayanLoggerSamplingOptions,
+  MayanLoggerFlightRecorderOptions,
+  MayanLoggerTerminalDataOptions,
+  MayanLoggerJSONOptions,
+  MayanLoggerAdminOptions,
+  MayanLoggerConfigFileOptions,
+  MayanLoggerRedactOptions,
   MayanLogCollectorState,
   MayanLoggerMessage,
+  MayanLoggerTraceInfo,
+  MayanLoggerTraceContext,
   MayanLoggerState,
 
   MayanLoggerError,
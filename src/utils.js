@@ -18,7 +18,15 @@ function reverseHash(hash) {
 }
 
 function isFunction(val) {
-  return val && Object.prototype.toString.call(val) === '[object Function]';
+  // NOTE: This also covers async and generator functions
+  return typeof val === 'function';
+}
+
+/**
+ * Returns true if given function is an ES class, which can't be called without new
+ */
+function isClass(val) {
+  return isFunction(val) && /^class[\s{]/.test(Function.prototype.toString.call(val));
 }
 
 function isObject(val) {
@@ -93,6 +101,17 @@ function inspectCompact(arg, options = INSPECT_COMPACT_OPTIONS) {
   return libUtil.inspect(arg, options.inspect_options);
 }
 
+/**
+ * Convert any value to string. Unlike String(), this will not throw for objects without (or with a broken) toString.
+ */
+function safeToString(val) {
+  try {
+    return String(val);
+  } catch (err) {
+    return inspectCompact(val);
+  }
+}
+
 function assertSubset(hashToCheck, canonicalHash) {
   for (const key in canonicalHash) {
     if (canonicalHash.hasOwnProperty(key)) {
@@ -101,9 +120,22 @@ function assertSubset(hashToCheck, canonicalHash) {
   }
 }
 
+/**
+ * Tells whether given logger output is a template string (as opposed to one of LOGGER_OUTPUTS)
+ * @param {*} output
+ * @return {boolean}
+ */
+function isOutputTemplate(output) {
+  return typeof output === 'string' && output.includes('{');
+}
+
 module.exports = {
   reverseHash,
   inspectCompact,
+  safeToString,
   isFunction,
+  isClass,
+  isObject,
   assertSubset,
+  isOutputTemplate,
 };
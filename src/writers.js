@@ -1,6 +1,20 @@
 'use strict';
 
-const { LOG_LEVELS } = require('./types');
+const fs = require('fs');
+const libPath = require('path');
+const libUtil = require('util');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const {
+  LOG_LEVELS,
+  LOG_LEVEL_VALUES,
+  FILE_ROTATION_INTERVALS,
+  ASYNC_OVERFLOW_POLICIES,
+  MayanLoggerOptionsError,
+} = require('./types');
+
+const pipelineAsync = libUtil.promisify(pipeline);
 
 const LOG_LEVELS_STDERR = {
   [LOG_LEVELS.warn]: LOG_LEVELS.warn,
@@ -10,22 +24,547 @@ const LOG_LEVELS_STDERR = {
 /**
  * @callback loggerWriter
  * @param {string} level
- * @param {string} message
+ * @param {string} message Formatted message
+ * @param {MayanLoggerMessage} msg Original message object
+ */
+
+/**
+ * Low level target that writers write their output into
+ * @typedef {object} WriterDestination
+ * @property {function(string, function())} write Write a chunk of text. Callback is called once destination
+ *   is ready to receive more data.
+ * @property {function(string)} writeDirect Write a chunk of text right away, without waiting for destination to
+ *   be ready. Used when writing without a buffer.
+ * @property {function(string)} [writeSync] Write a chunk of text synchronously, if destination supports it
  */
 
 /**
  * Create a writer function that writes output to console depending on level
+ * @param {MayanLoggerAsyncOptions} [asyncOptions]
+ * @return loggerWriter
+ */
+function makeConsoleWriter(asyncOptions) {
+  const stdout = console._stdout || (asyncOptions && asyncOptions.enabled && process.stdout);
+  const stderr = console._stderr || (asyncOptions && asyncOptions.enabled && process.stderr);
+
+  const writeErr = stderr
+    ? makeDestinationWriter(makeStreamDestination(stderr, process.stderr.fd), asyncOptions)
+    : makeFallbackWriter(console.error);
+  const writeOut = stdout
+    ? makeDestinationWriter(makeStreamDestination(stdout, process.stdout.fd), asyncOptions)
+    : makeFallbackWriter(console.log);
+
+  const writer = (level, message) => {
+    return LOG_LEVELS_STDERR[level] ? writeErr(level, message) : writeOut(level, message);
+  };
+
+  writer.flush = () => Promise.all([writeErr.flush(), writeOut.flush()]).then(() => {});
+
+  return writer;
+}
+
+/**
+ * Create a writer function that writes all output to a given writable stream, one message per line
+ * @param {NodeJS.WritableStream} stream
+ * @param {MayanLoggerAsyncOptions} [asyncOptions]
  * @return loggerWriter
  */
-function makeConsoleWriter() {
-  const writeErr = console._stderr ? str => console._stderr.write(str + '\n') : console.error;
-  const writeOut = console._stdout ? str => console._stdout.write(str + '\n') : console.log;
+function makeStreamWriter(stream, asyncOptions) {
+  return makeDestinationWriter(makeStreamDestination(stream), asyncOptions);
+}
+
+/**
+ * Create a writer function that appends output to a file, and rotates it based on size or time.
+ * Returned writer has a few extra methods:
+ *  - reopen(): close the file, it will be reopened on the next write
+ *  - close(): flush and close the file and return a promise that resolves once all archiving is done
+ * @param {MayanLoggerFileOptions} options
+ * @param {MayanLoggerAsyncOptions} [asyncOptions]
+ * @return loggerWriter
+ */
+function makeFileWriter(options, asyncOptions) {
+  const destination = makeFileDestination(options);
+  const writer = makeDestinationWriter(destination, asyncOptions);
+
+  const onSighup = () => {
+    destination.reopen();
+  };
+  if (options.reopen_on_sighup) {
+    process.on('SIGHUP', onSighup);
+  }
+
+  writer.reopen = destination.reopen;
+
+  writer.close = () => {
+    process.removeListener('SIGHUP', onSighup);
+    return writer.flush().then(() => destination.close());
+  };
+
+  return writer;
+}
+
+// *********************************************************************************************************************
+
+/**
+ * Make a writer that uses console-like method to write
+ * @param {function(string)} consoleFn
+ * @return loggerWriter
+ */
+function makeFallbackWriter(consoleFn) {
+  const writer = (level, message) => consoleFn(message);
+  writer.flush = () => Promise.resolve();
+  return writer;
+}
+
+/**
+ * Make a writer which will write to destination either directly or through a buffer, depending on async options
+ * @param {WriterDestination} destination
+ * @param {MayanLoggerAsyncOptions} [asyncOptions]
+ * @return loggerWriter
+ */
+function makeDestinationWriter(destination, asyncOptions) {
+  if (asyncOptions && asyncOptions.enabled) {
+    if (asyncOptions.overflow === ASYNC_OVERFLOW_POLICIES.block && !destination.writeSync) {
+      throw new MayanLoggerOptionsError(
+        `Overflow policy "${ASYNC_OVERFLOW_POLICIES.block}" is not supported by this writer, as it can't write synchronously`
+      );
+    }
+
+    const buffer = new WriteBuffer(destination, asyncOptions);
+    const writer = (level, message) => buffer.push(level, message + '\n');
+    writer.flush = () => buffer.flush();
+    writer.getDroppedCount = () => buffer.dropped;
+    return writer;
+  }
+
+  const writer = (level, message) => destination.writeDirect(message + '\n');
+  writer.flush = () => Promise.resolve();
+  return writer;
+}
+
+/**
+ * Buffer which collects lines in memory and writes them to destination in batches, respecting backpressure
+ */
+class WriteBuffer {
+  /**
+   * @param {WriterDestination} destination
+   * @param {MayanLoggerAsyncOptions} options
+   */
+  constructor(destination, options) {
+    this.destination = destination;
+    this.options = options;
+
+    /** @type {Array<{level: string, chunk: string}>} */
+    this.queue = [];
+
+    /** How many lines were dropped due to buffer overflow */
+    this.dropped = 0;
+
+    this._writing = false;
+    this._scheduled = null;
+    this._flushWaiters = [];
+  }
+
+  /**
+   * @param {string} level
+   * @param {string} chunk
+   */
+  push(level, chunk) {
+    if (this.queue.length >= this.options.max_buffered && !this._makeRoom(level)) {
+      this.dropped++;
+      return;
+    }
+
+    this.queue.push({ level, chunk });
+    this._schedule();
+  }
+
+  /**
+   * Write out everything that has been buffered so far
+   * @return {Promise}
+   */
+  flush() {
+    if (!this.queue.length && !this._writing) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      this._flushWaiters.push(resolve);
+      if (this._scheduled && !this._writing) {
+        // Don't wait for the flush interval
+        this._cancelSchedule();
+        this._drain();
+      }
+    });
+  }
+
+  /**
+   * Handle overflow, according to the configured policy
+   * @param {string} level Level of the line we are trying to add
+   * @return {boolean} True if there is now room for the new line
+   */
+  _makeRoom(level) {
+    switch (this.options.overflow) {
+      case ASYNC_OVERFLOW_POLICIES.block:
+        // Writing now would jump ahead of the chunk that is still being written. We keep the line instead,
+        // and the whole queue goes out as soon as that write is done.
+        if (!this._writing) {
+          this._writeSync();
+        }
+        return true;
+
+      case ASYNC_OVERFLOW_POLICIES.drop_debug: {
+        if (LOG_LEVEL_VALUES[level] >= LOG_LEVEL_VALUES.debug) {
+          return false;
+        }
+        const index = this.queue.findIndex(
+          item => LOG_LEVEL_VALUES[item.level] >= LOG_LEVEL_VALUES.debug
+        );
+        this.queue.splice(index >= 0 ? index : 0, 1);
+        this.dropped++;
+        return true;
+      }
+    }
+
+    // drop_oldest
+    this.queue.shift();
+    this.dropped++;
+    return true;
+  }
+
+  _schedule() {
+    if (this._writing || this._scheduled) {
+      return;
+    }
+
+    this._scheduled = this.options.flush_interval
+      ? setTimeout(() => this._drain(), this.options.flush_interval)
+      : setImmediate(() => this._drain());
+  }
+
+  _cancelSchedule() {
+    if (this.options.flush_interval) {
+      clearTimeout(this._scheduled);
+    } else {
+      clearImmediate(this._scheduled);
+    }
+    this._scheduled = null;
+  }
+
+  _takeChunk() {
+    const chunk = this.queue.map(item => item.chunk).join('');
+    this.queue = [];
+    return chunk;
+  }
+
+  _writeSync() {
+    if (this._scheduled) {
+      this._cancelSchedule();
+    }
+    try {
+      this.destination.writeSync(this._takeChunk());
+    } catch (err) {
+      console.error('Failed to write log output', err);
+    }
+  }
+
+  _drain() {
+    this._scheduled = null;
+
+    if (!this.queue.length) {
+      const waiters = this._flushWaiters;
+      this._flushWaiters = [];
+      waiters.forEach(resolve => resolve());
+      return;
+    }
+
+    this._writing = true;
+    let done = false;
+    const onWritten = () => {
+      if (done) {
+        return;
+      }
+      done = true;
+      this._writing = false;
+      this._drain();
+    };
+
+    // We are called from a timer, so nobody would catch this. Report it and keep draining.
+    try {
+      this.destination.write(this._takeChunk(), onWritten);
+    } catch (err) {
+      console.error('Failed to write log output', err);
+      onWritten();
+    }
+  }
+}
+
+/**
+ * @param {NodeJS.WritableStream} stream
+ * @param {number} [fd] File descriptor behind the stream (eg. 1 for stdout). If given, we can write synchronously.
+ * @return {WriterDestination}
+ */
+function makeStreamDestination(stream, fd) {
+  return {
+    write: (chunk, callback) => {
+      if (stream.write(chunk)) {
+        return callback();
+      }
+      stream.once('drain', callback);
+    },
+    writeDirect: chunk => {
+      stream.write(chunk);
+    },
+    writeSync:
+      typeof fd === 'number'
+        ? chunk => {
+            if (stream.writableLength) {
+              // Writing to fd now would get ahead of the chunks still queued in the stream
+              stream.write(chunk);
+              return;
+            }
+            fs.writeSync(fd, chunk);
+          }
+        : undefined,
+  };
+}
+
+/**
+ * Destination that appends to a file and handles its rotation
+ * @param {MayanLoggerFileOptions} options
+ */
+function makeFileDestination(options) {
+  const filePath = libPath.resolve(options.path);
+
+  let fd = null;
+  let size = 0;
+  let nextRotationAt = null;
+
+  // Archiving (compression and deleting old archives) is done in the background, one by one
+  let archiving = Promise.resolve();
+
+  /**
+   * Async write that is in progress, if any. If the file is closed (rotated, reopened) in the meantime, we can't
+   * close its fd right away, so we mark it as pending and close it once the write is done.
+   * @type {{fd: number, closePending: boolean, done: Promise, resolve: function()}}
+   */
+  let writing = null;
+
+  // We will keep trying to open the file on each write, but only report the first failure
+  let openFailed = false;
+
+  /**
+   * Open the file for appending. Errors are reported, not thrown, so logging never crashes the app.
+   * If this fails, fd stays null and writes are skipped until we manage to open the file.
+   */
+  const open = () => {
+    try {
+      fs.mkdirSync(libPath.dirname(filePath), { recursive: true });
+      fd = fs.openSync(filePath, 'a');
+      const stat = fs.fstatSync(fd);
+      size = stat.size;
+      if (options.interval) {
+        // If we are reopening a file from a previous period, this will make us rotate it on the first write
+        nextRotationAt = getNextIntervalStart(options.interval, size ? stat.mtime : new Date());
+      }
+      openFailed = false;
+    } catch (err) {
+      if (!openFailed) {
+        console.error(`Failed to open log file ${filePath}`, err);
+      }
+      openFailed = true;
+    }
+  };
+
+  /**
+   * Close the current file. Returns a promise that resolves once it is actually closed.
+   * @return {Promise}
+   */
+  const close = () => {
+    if (fd === null) {
+      return Promise.resolve();
+    }
+
+    const closing = fd;
+    fd = null;
+    if (writing && writing.fd === closing) {
+      writing.closePending = true;
+      return writing.done;
+    }
+    fs.closeSync(closing);
+    return Promise.resolve();
+  };
+
+  const rotate = now => {
+    const closed = close();
+
+    const archivePath = makeArchivePath(filePath, now);
+    try {
+      fs.renameSync(filePath, archivePath);
+    } catch (err) {
+      // Eg. someone has removed the file. There is nothing to archive, so we just start a new file.
+      console.error(`Failed to rotate log file ${filePath}`, err);
+      open();
+      return;
+    }
+
+    archiving = archiving
+      .then(() => closed)
+      .then(() => archiveFile(filePath, archivePath, options))
+      .catch(err => {
+        console.error(`Failed to archive log file ${archivePath}`, err);
+      });
 
-  return (level, message) => {
-    return LOG_LEVELS_STDERR[level] ? writeErr(message) : writeOut(message);
+    open();
   };
+
+  /**
+   * Open and rotate file, as needed, before writing given chunk
+   * @param {string} chunk
+   * @return {boolean} False if the file couldn't be opened, so the chunk should be skipped
+   */
+  const prepare = chunk => {
+    if (fd === null) {
+      open();
+      if (fd === null) {
+        return false;
+      }
+    }
+
+    const length = Buffer.byteLength(chunk);
+
+    if (nextRotationAt !== null && Date.now() >= nextRotationAt) {
+      if (size > 0) {
+        rotate(new Date());
+      } else {
+        nextRotationAt = getNextIntervalStart(options.interval, new Date());
+      }
+    }
+    if (options.max_size && size > 0 && size + length > options.max_size) {
+      rotate(new Date());
+    }
+
+    size += length;
+    return fd !== null;
+  };
+
+  const writeSync = chunk => {
+    if (!prepare(chunk)) {
+      return;
+    }
+    try {
+      fs.writeSync(fd, chunk);
+    } catch (err) {
+      console.error(`Failed to write to log file ${filePath}`, err);
+    }
+  };
+
+  return {
+    writeSync,
+    writeDirect: writeSync,
+    write: (chunk, callback) => {
+      if (!prepare(chunk)) {
+        return setImmediate(callback);
+      }
+
+      const current = { fd, closePending: false, done: null, resolve: null };
+      current.done = new Promise(resolve => (current.resolve = resolve));
+      writing = current;
+
+      fs.write(fd, chunk, err => {
+        if (err) {
+          console.error(`Failed to write to log file ${filePath}`, err);
+        }
+        writing = null;
+        if (current.closePending) {
+          fs.closeSync(current.fd);
+        }
+        current.resolve();
+        callback();
+      });
+    },
+    reopen: () => {
+      close();
+    },
+    close: () => close().then(() => archiving),
+  };
+}
+
+/**
+ * Get the timestamp (in ms) when the next interval starts, after given date
+ * @param {string} interval One of FILE_ROTATION_INTERVALS
+ * @param {Date} date
+ * @return {number}
+ */
+function getNextIntervalStart(interval, date) {
+  const result = new Date(date);
+  if (interval === FILE_ROTATION_INTERVALS.hour) {
+    result.setHours(result.getHours() + 1, 0, 0, 0);
+  } else {
+    result.setHours(24, 0, 0, 0);
+  }
+  return result.getTime();
+}
+
+/**
+ * Generate a unique path to move the current log file to. Eg. /var/log/app.log.2020-08-22-213442
+ * @param {string} filePath
+ * @param {Date} date
+ */
+function makeArchivePath(filePath, date) {
+  const pad = n => String(n).padStart(2, '0');
+  const stamp =
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+  let archivePath = `${filePath}.${stamp}`;
+  for (let i = 1; fs.existsSync(archivePath) || fs.existsSync(archivePath + '.gz'); i++) {
+    archivePath = `${filePath}.${stamp}-${i}`;
+  }
+  return archivePath;
+}
+
+/**
+ * Compress the archived file, if needed, and delete the archives we no longer need to keep
+ * @param {string} filePath
+ * @param {string} archivePath
+ * @param {MayanLoggerFileOptions} options
+ */
+async function archiveFile(filePath, archivePath, options) {
+  if (options.compress) {
+    await pipelineAsync(
+      fs.createReadStream(archivePath),
+      zlib.createGzip(),
+      fs.createWriteStream(archivePath + '.gz')
+    );
+    await fs.promises.unlink(archivePath);
+  }
+
+  if (!options.keep) {
+    return;
+  }
+
+  const dir = libPath.dirname(filePath);
+  const prefix = libPath.basename(filePath) + '.';
+  const archives = [];
+  for (const name of await fs.promises.readdir(dir)) {
+    if (
+      name.startsWith(prefix) &&
+      /^\d{4}-\d{2}-\d{2}-\d{6}(-\d+)?(\.gz)?$/.test(name.slice(prefix.length))
+    ) {
+      const archive = libPath.join(dir, name);
+      archives.push({ archive, mtime: (await fs.promises.stat(archive)).mtimeMs });
+    }
+  }
+
+  archives.sort((a, b) => b.mtime - a.mtime || (a.archive < b.archive ? 1 : -1));
+  for (const { archive } of archives.slice(options.keep)) {
+    await fs.promises.unlink(archive);
+  }
 }
 
 module.exports = {
   makeConsoleWriter,
+  makeStreamWriter,
+  makeFileWriter,
 };
@@ -0,0 +1,16 @@
+'use strict';
+
+const { MayanTestLogger, matchers, expectNoUnexpectedLogs } = require('./src/testing');
+
+/**
+ * Logger which keeps messages in memory, for use in tests
+ * @type {MayanTestLogger}
+ */
+module.exports.MayanTestLogger = MayanTestLogger;
+
+/**
+ * Jest matchers. Install them with expect.extend(require('mayan-logger/testing').matchers)
+ */
+module.exports.matchers = matchers;
+
+module.exports.expectNoUnexpectedLogs = expectNoUnexpectedLogs;